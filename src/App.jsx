@@ -1,14 +1,17 @@
 import React, { Suspense, useState, useEffect } from 'react';
 import { Navigate, BrowserRouter, Route, Routes } from 'react-router-dom';
-import { startSocket, subscribeConnectionState } from "./services/socket.js";
+import { startSocket, subscribe, subscribeConnectionState } from "./services/socket.js";
 import Loading from './components/Loading.jsx';
 import NotFound from './404.jsx';
 import Layout from "./components/Layout.jsx";
+import Login from './Login.jsx';
 import Home from './Home.jsx';
 import Settings from './Settings.jsx';
 import Assets from './Assets.jsx';
 import Patches from './Patches.jsx';
 import Players from './Players.jsx';
+import Audit from './Audit.jsx';
+import Jobs from './Jobs.jsx';
 import TestPage from './testPage.jsx';
 import './css/App.css';
 
@@ -70,6 +73,12 @@ export default function App() {
 
         return subscribeConnectionState(setConnectedState);
     }, []);
+    // any panel saving a setting that needs a restart shows the restart banner here too
+    useEffect(() => subscribe("configChanged", (data) => {
+        if (data.payload.restart) {
+            setNeedsRestart(true);
+        }
+    }), []);
 
     useEffect(() => {
         if(connectedState == "Connected"){
@@ -79,6 +88,15 @@ export default function App() {
         }
     }, [connectedState]);
 
+    if (connectedState == "Unauthorized") {
+        return (
+            <>
+                <title>Opera Omnia Server Management</title>
+                <Login />
+            </>
+        );
+    }
+
     return (
         <>
             <title>Opera Omnia Server Management</title>
@@ -129,6 +147,20 @@ export default function App() {
                                     />
                                 } />
 
+                                <Route path="/jobs" exact element={
+                                    <Jobs 
+                                        connected={connected}
+                                        setNeedsRestart={setNeedsRestart}
+                                    />
+                                } />
+
+                                <Route path="/audit" exact element={
+                                    <Audit 
+                                        connected={connected}
+                                        setNeedsRestart={setNeedsRestart}
+                                    />
+                                } />
+
                                 <Route path="/testPage" exact element={
                                     <TestPage 
                                         connected={connected}
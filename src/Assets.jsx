@@ -1,5 +1,7 @@
-import { useState, useRef, useEffect } from "react";
-import { subscribe, request } from "./services/socket.js";
+import { useState, useEffect } from "react";
+import { request, can, RequestError } from "./services/socket.js";
+import { useRequest, useJob, useJobs } from "./services/hooks.js";
+import JobLog from "./components/JobLog.jsx";
 import './css/Assets.css';
 
 /**
@@ -8,10 +10,7 @@ import './css/Assets.css';
  * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0 
  */
 export default function Assets({connected, setNeedsRestart}){
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getServerDB"]["response"]["payload"], (any)=> void]}
-     */
-    const [serverDB       , setServerDB        ] = useState();
+    const { data: serverDB, refetch: getServerDB } = useRequest("getServerDB");
     /**
      * @type {[{ string: boolean, link: boolean, text: string}[], (any)=> void]}
      */
@@ -27,75 +26,76 @@ export default function Assets({connected, setNeedsRestart}){
      */
     const [deleteAfter    , setDeleteAfter     ] = useState(false);
 
-    const [jobRunning     , setJobRunning      ] = useState(false);
-
     const [finishedRunning, setFinishedRunning ] = useState(true);
 
-    const [progress       , setProgress        ] = useState(0);
+    const [idleStatus     , setIdleStatus      ] = useState("Awaiting status.");
+
+    const [idleTask       , setIdleTask        ] = useState("Awaiting task.");
+    /**
+     * Start response of the running or last job
+     *
+     * @type {[import('./services/socket.js').RequestMap["installAsset"]["response"]["payload"] | undefined, (any)=> void]}
+     */
+    const [jobStart       , setJobStart        ] = useState();
+
+    const job = useJob(jobStart?.jobId, {
+        initial: jobStart,
+        // processing happens here
+        onComplete: async (job) => {
+            if(job.success){
+                setNeedsRestart(true);
+            } else {
+                setFinishedRunning(true);
+            }
 
-    const [status         , setStatus          ] = useState("Awaiting status.");
+            await getServerDB();
+        }
+    });
 
-    const [task           , setTask            ] = useState("Awaiting task."); 
+    const jobRunning = job != undefined && !job.done;
 
-    const jobs = useRef(new Map());
+    const progress = job == undefined || (job.done && !job.success) ? 0 : job.progress;
 
-    useEffect(()=>{
-        (async () => {
-            if (connected && serverDB == undefined) {
-                try {
-                    const res = await request("getServerDB");
+    const status = job == undefined ? idleStatus : job.status;
 
-                    if (res.type == "getServerDB") {
-                        setServerDB(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }  
-            }
-        })();
-    },[connected])
+    const task = job == undefined ? idleTask : job.task;
 
+    const jobs = useJobs();
+    // pick back up an asset job started before a reload or from another tab
     useEffect(() => {
-        const subProgress = subscribe("jobProgress", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
-
-            if (job) {
-                // pass off happens here
-                job.onProgress(data);
-            };
-        });
-
-        const subComplete = subscribe("jobComplete", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
-
-            if (job) {
-                // pass off happens here
-                job.onComplete(data);
-            };
-        });
-
-        return () => {
-            if (connected) {
-                subProgress();
-                subComplete();
-            }
-        };
-    }, []);
+        if (jobStart != undefined) {
+            return;
+        }
+
+        const running = jobs.find(self => !self.done && (self.type == "installAsset" || self.type == "uninstallAsset"));
+
+        if (running != undefined) {
+            setRunType(running.type);
+
+            setSelectedPackage(`${running.payload.version}_${running.payload.os}`);
+
+            setFinishedRunning(false);
+
+            setJobStart(running);
+        }
+    }, [jobs, jobStart]);
 
     async function getPackageInfo() {
         if(packageInfo == undefined){
-            const res = await request("displayURLs");
+            try {
+                const res = await request("displayURLs");
 
-            if (res.type == "error") {
-                console.error(res.payload.message);
-            } else {
-                if(res.payload.success){
-                    setPackageInfo(res.payload.data);
+                if (res.type == "error") {
+                    console.error(res.payload.message);
                 } else {
-                    console.error("Issue getting package data");
+                    if(res.payload.success){
+                        setPackageInfo(res.payload.data);
+                    } else {
+                        console.error("Issue getting package data");
+                    }
                 }
+            } catch (error) {
+                console.error(error);
             }
         } else {
             setPackageInfo();
@@ -105,9 +105,11 @@ export default function Assets({connected, setNeedsRestart}){
     function prepUninstall(e){
         setFinishedRunning(true);
 
-        setStatus("Awaiting status.");
+        setJobStart();
+
+        setIdleStatus("Awaiting status.");
 
-        setTask("Awaiting task."); 
+        setIdleTask("Awaiting task.");
 
         setRunType("uninstallAsset");
 
@@ -117,29 +119,17 @@ export default function Assets({connected, setNeedsRestart}){
     function prepInstall(e){
         setFinishedRunning(true);
 
-        setStatus("Awaiting status.");
+        setJobStart();
+
+        setIdleStatus("Awaiting status.");
 
-        setTask("Awaiting task.");  
+        setIdleTask("Awaiting task.");
 
         setRunType("installAsset");
 
         setSelectedPackage(e.target.dataset.value);
     };
 
-    async function getServerDB(){
-        try {
-            const res = await request("getServerDB");
-
-            if (res.type == "getServerDB") {
-                setServerDB(res.payload);
-            } else {
-                console.error(res.payload.message);
-            }
-        } catch (error) {
-            console.error(error);
-        }
-    };
-
     // multi-reponse test
     async function startProcess() {
         if(jobRunning || !finishedRunning){
@@ -159,62 +149,28 @@ export default function Assets({connected, setNeedsRestart}){
                 return;
             }
 
-            const res = await request(runType, 
-                {
-                    version: version,
-                    os: os,
-                    deleteAfter: deleteAfter
-                }
-            );
+            const payload = runType == "installAsset" ? { version: version, os: os, deleteAfter: deleteAfter } : { version: version, os: os };
+
+            const res = await request(runType, payload);
 
             if (res.type == "error") {
                 console.error(res.payload.message);
 
-                setStatus(res.payload.message);
+                setJobStart();
 
-                setJobRunning(false);
+                setIdleStatus(res.payload.message);
 
                 return;
             } else {
-                const jobId = res.payload.jobId;
-
-                setStatus(res.payload.status);
-
-                setJobRunning(true);
-
                 setFinishedRunning(false);
 
-                jobs.current.set(jobId, {
-                    // processing happens here
-                    onProgress: async (data) => {
-                        setProgress(data.payload.progress);
-
-                        setStatus(data.payload.status);
-
-                        setTask(data.payload.task);
-                    },
-                    onComplete: async (data) => {
-                        setProgress(data.payload.success ? 100 : 0);
-
-                        if(data.payload.success != 0){
-                            setNeedsRestart(true);
-                        } else {
-                            setFinishedRunning(true);
-                        }
-
-                        setStatus(data.payload.status);
-
-                        setTask(data.payload.task);
-
-                        setJobRunning(false);
-
-                        jobs.current.delete(jobId);
-
-                        await getServerDB();
-                    }
-                });
+                setJobStart(res.payload);
             }
         } catch (error) {
+            if (error instanceof RequestError) {
+                setIdleStatus(error.message);
+            }
+
             console.error(error);
         }
     }
@@ -288,32 +244,32 @@ export default function Assets({connected, setNeedsRestart}){
                         <tr>
                             <th className="assets-subborder-bottom assets-th assets-subborder-right"><span title="Global" className="glFlag" /></th>
                             <th className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><div title={`GL Android`} style={{margin: "auto"}} className={`android ${serverDB.assets.GL.Android != undefined ? "make-green" : "make-red"}`}/></th>
-                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><span data-value="GL_Android" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.GL.Android == undefined ? "📥" : ""}</span></th>
-                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="GL_Android" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.GL.Android != undefined ? "🗑️" : ""}</span></th>
+                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><span data-value="GL_Android" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.GL.Android == undefined && can("installAsset") ? "📥" : ""}</span></th>
+                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="GL_Android" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.GL.Android != undefined && can("uninstallAsset") ? "🗑️" : ""}</span></th>
                         </tr>
                     </tbody>
                     <tbody>
                         <tr>
                             <th className="assets-subborder-bottom assets-th assets-subborder-right"><span title="Global" className="glFlag" /></th>
                             <th className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><div title={`GL iOS`} style={{margin: "auto"}} className={`ios ${serverDB.assets.GL.iOS != undefined ? "make-green"  :"make-red"}`}/></th>
-                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><span data-value="GL_iOS" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.GL.iOS == undefined ? "📥" : ""}</span></th>
-                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="GL_iOS" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.GL.iOS != undefined ? "🗑️" : ""}</span></th>
+                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-right assets-subborder-left"><span data-value="GL_iOS" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.GL.iOS == undefined && can("installAsset") ? "📥" : ""}</span></th>
+                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="GL_iOS" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.GL.iOS != undefined && can("uninstallAsset") ? "🗑️" : ""}</span></th>
                         </tr>
                     </tbody>
                     <tbody>
                         <tr>
                             <th className="assets-subborder-bottom assets-th assets-subborder-right"><span title="Japanese" className="jpFlag" /></th>
                             <th className="assets-subborder-bottom assets-th assets-subborder-left assets-subborder-right"><div title={`JP Android`} style={{margin: "auto"}} className={`android ${serverDB.assets.JP.Android != undefined ? "make-green"  :"make-red"}`}/></th>
-                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left assets-subborder-right"><span data-value="JP_Android" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.JP.Android == undefined ? "📥" : ""}</span></th>
-                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="JP_Android" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.JP.Android != undefined ? "🗑️" : ""}</span></th>
+                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left assets-subborder-right"><span data-value="JP_Android" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.JP.Android == undefined && can("installAsset") ? "📥" : ""}</span></th>
+                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-subborder-bottom assets-th assets-subborder-left"><span data-value="JP_Android" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.JP.Android != undefined && can("uninstallAsset") ? "🗑️" : ""}</span></th>
                         </tr>
                     </tbody>
                     <tbody>
                         <tr>
                             <th className="assets-th assets-subborder-right"><span title="Japanese" className="jpFlag" /></th>
                             <th className="assets-th assets-subborder-right assets-subborder-left"><div title={`JP iOS`} style={{margin: "auto"}} className={`ios ${serverDB.assets.JP.iOS != undefined ? "make-green"  :"make-red"}`}/></th>
-                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-th assets-subborder-right assets-subborder-left"><span data-value="JP_iOS" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.JP.iOS == undefined ? "📥" : ""}</span></th>
-                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-th assets-subborder-left"><span data-value="JP_iOS" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.JP.iOS != undefined ? "🗑️" : ""}</span></th>
+                            <th title="Install asset package" style={{fontSize: "1.5rem"}} className="assets-th assets-subborder-right assets-subborder-left"><span data-value="JP_iOS" className="clicky" onClick={(e)=> prepInstall(e)}>{serverDB.assets.JP.iOS == undefined && can("installAsset") ? "📥" : ""}</span></th>
+                            <th title="Uninstall asset package" style={{fontSize: "1.5rem"}} className="assets-th assets-subborder-left"><span data-value="JP_iOS" className="clicky" onClick={(e)=> prepUninstall(e)}>{serverDB.assets.JP.iOS != undefined && can("uninstallAsset") ? "🗑️" : ""}</span></th>
                         </tr>
                     </tbody>
                 </table>
@@ -359,6 +315,15 @@ export default function Assets({connected, setNeedsRestart}){
                             <th className="color-yellow" colspan="5" style={{fontSize: ".8rem", paddingLeft: "5px", paddingRight: "5px", overflowY: "auto", textAlign: "left", minHeight: "2rem", display:"block"}}>{status}</th>
                         </tr>
                     </tbody>
+                    {job == undefined ? "" :
+                        <tbody>
+                            <tr>
+                                <th colspan="5" style={{paddingLeft: "5px", paddingRight: "5px", display:"block"}}>
+                                    <JobLog jobId={job.jobId}/>
+                                </th>
+                            </tr>
+                        </tbody>
+                    }
                 </table>
             }
         </div>
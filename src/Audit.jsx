@@ -0,0 +1,248 @@
+import { useState } from "react";
+import { useRequest } from "./services/hooks.js";
+import "./css/Audit.css";
+
+const PAGE_SIZE = 25;
+
+/**
+ * Audit page
+ *
+ * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0
+ */
+export default function Audit({ connected, setNeedsRestart }) {
+    /**
+     * Filter the entries were loaded with
+     *
+     * @type {[import('./services/socket.js').RequestMap["getAuditLog"]["request"]["payload"], (any)=> void]}
+     */
+    const [filter       , setFilter       ] = useState({});
+
+    const [user         , setUser         ] = useState("");
+
+    const [action       , setAction       ] = useState("");
+
+    const [fromDate     , setFromDate     ] = useState("");
+
+    const [toDate       , setToDate       ] = useState("");
+
+    const [page         , setPage         ] = useState(1);
+
+    const { data, error: errorMessage, refetch: loadAudit } = useRequest("getAuditLog", filter);
+
+    const entries = data?.entries;
+
+    const actions = data == undefined ? [] : data.actions;
+
+    /**
+     * Searches with the current filters.
+     *
+     * Dates are whole days in local time.
+     */
+    async function handleSearch(e) {
+        e.preventDefault();
+        /**
+         * @type {import('./services/socket.js').RequestMap["getAuditLog"]["request"]["payload"]}
+         */
+        const payload = {};
+
+        if (user.trim() != "") {
+            payload.user = user.trim();
+        }
+
+        if (action != "") {
+            payload.action = action;
+        }
+
+        if (fromDate != "") {
+            payload.from = new Date(`${fromDate}T00:00:00`).toISOString();
+        }
+
+        if (toDate != "") {
+            payload.to = new Date(`${toDate}T23:59:59.999`).toISOString();
+        }
+
+        setPage(1);
+        // same filter won't trigger a new request on its own
+        if (JSON.stringify(payload) == JSON.stringify(filter)) {
+            await loadAudit();
+        } else {
+            setFilter(payload);
+        }
+    };
+
+    /**
+     * Downloads a file made in the browser.
+     *
+     * @param {string} text file contents
+     * @param {string} name file name
+     * @param {string} type mime type
+     */
+    function downloadFile(text, name, type) {
+        // file object
+        const file = new Blob([text], { type: type });
+        // anchor link
+        const element = document.createElement("a");
+
+        element.href = URL.createObjectURL(file);
+
+        element.download = name;
+        // simulate link click (Required for this to work in FireFox)
+        document.body.appendChild(element);
+
+        element.click();
+
+        document.body.removeChild(element);
+    };
+
+    function exportJSON() {
+        if (entries == undefined) {
+            return;
+        }
+
+        downloadFile(JSON.stringify(entries, null, 4), `audit_${Date.now()}.json`, "application/json");
+    };
+
+    function exportCSV() {
+        if (entries == undefined) {
+            return;
+        }
+        /**
+         * @param {any} value
+         */
+        const cell = (value) => `"${`${value}`.replace(/"/g, '""')}"`;
+
+        const rows = [["time", "user", "role", "ip", "action", "payload", "success", "message"].join(",")];
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+
+            rows.push([
+                cell(entry.time),
+                cell(entry.user),
+                cell(entry.role),
+                cell(entry.ip),
+                cell(entry.action),
+                cell(JSON.stringify(entry.payload)),
+                cell(entry.result.success),
+                cell(entry.result.message || "")
+            ].join(","));
+        }
+
+        downloadFile(rows.join("\n"), `audit_${Date.now()}.csv`, "text/csv");
+    };
+
+    const totalPages = entries == undefined ? 1 : Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+
+    const safePage = Math.min(page, totalPages);
+
+    const pageEntries = entries == undefined ? [] : entries.slice((safePage - 1) * PAGE_SIZE, safePage * PAGE_SIZE);
+
+    const pagination = (
+        <div className="audit-pagination">
+            <div className={`general-btn${safePage <= 1 ? "-inactive" : ""} audit-btn`} onClick={() => safePage > 1 && setPage(safePage - 1)}>
+                ◀ Prev
+            </div>
+            <span className="audit-page-info">
+                {`Page ${safePage} of ${totalPages}`}
+                <span className="sub-header">{entries == undefined ? "" : ` (${entries.length} entr${entries.length == 1 ? "y" : "ies"})`}</span>
+            </span>
+            <div className={`general-btn${safePage >= totalPages ? "-inactive" : ""} audit-btn`} onClick={() => safePage < totalPages && setPage(safePage + 1)}>
+                Next ▶
+            </div>
+        </div>
+    );
+
+    return (
+        <div className='main-holder'>
+            <h3>
+                Audit
+                <div className='sub-header'>
+                    Record of destructive admin actions.
+                </div>
+            </h3>
+
+            <div>Filter:</div>
+            <hr/>
+            <form onSubmit={handleSearch} className="audit-search">
+                <input
+                    type="text"
+                    name="user"
+                    value={user}
+                    onChange={(e) => setUser(e.target.value)}
+                    placeholder="Username"
+                />
+                <select
+                    name="action"
+                    value={action}
+                    onChange={(e) => setAction(e.target.value)}
+                >
+                    <option value="">All actions</option>
+                    {actions.map(self => (
+                        <option key={self} value={self}>{self}</option>
+                    ))}
+                </select>
+                <label htmlFor="fromDate" className="sub-header">From</label>
+                <input
+                    type="date"
+                    name="fromDate"
+                    id="fromDate"
+                    value={fromDate}
+                    onChange={(e) => setFromDate(e.target.value)}
+                />
+                <label htmlFor="toDate" className="sub-header">To</label>
+                <input
+                    type="date"
+                    name="toDate"
+                    id="toDate"
+                    value={toDate}
+                    onChange={(e) => setToDate(e.target.value)}
+                />
+                <button className="general-btn audit-btn" type="submit">Search</button>
+                <div className={`general-btn${entries == undefined || entries.length == 0 ? "-inactive" : ""} audit-btn`} title="Export the filtered entries" onClick={exportCSV}>Export CSV</div>
+                <div className={`general-btn${entries == undefined || entries.length == 0 ? "-inactive" : ""} audit-btn`} title="Export the filtered entries" onClick={exportJSON}>Export JSON</div>
+            </form>
+            {errorMessage == undefined ? "" :
+                <div style={{fontSize: ".8rem"}} className="color-red">{errorMessage}</div>
+            }
+            {entries == undefined ? "" :
+                <>
+                    <div className="audit-table-holder">
+                        <table className="audit-table">
+                            <thead>
+                                <tr className="audit-table-header">
+                                    <th>Time</th>
+                                    <th>User</th>
+                                    <th>IP</th>
+                                    <th>Action</th>
+                                    <th>Payload</th>
+                                    <th>Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {pageEntries.length == 0 ?
+                                    <tr>
+                                        <td colSpan={6} className="sub-header">No entries found.</td>
+                                    </tr>
+                                    :
+                                    pageEntries.map(entry => (
+                                        <tr key={entry.id}>
+                                            <td title={entry.time}>{new Date(entry.time).toLocaleString()}</td>
+                                            <td>{entry.user} <span className="sub-header">{entry.role}</span></td>
+                                            <td>{entry.ip}</td>
+                                            <td className="color-yellow">{entry.action}</td>
+                                            <td className="audit-payload">{JSON.stringify(entry.payload)}</td>
+                                            <td className={entry.result.success ? "color-green" : "color-red"}>
+                                                {entry.result.success ? "✓" : "✗"} {entry.result.message || ""}
+                                            </td>
+                                        </tr>
+                                    ))
+                                }
+                            </tbody>
+                        </table>
+                    </div>
+                    {pagination}
+                </>
+            }
+        </div>
+    )
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect } from "react";
 import { Link } from 'react-router-dom';
-import { request } from "./services/socket.js";
+import { useRequest } from "./services/hooks.js";
 import './css/Home.css';
 
 /**
@@ -9,92 +9,19 @@ import './css/Home.css';
  * @param {{connected: boolean, setNeedsRestart: (value: boolean) => void}} param0 
  */
 export default function Home({ connected, setNeedsRestart }) {
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getConstValues"]["response"]["payload"], (any)=> void]}
-     */
-    const [currentConsts, setCurrentConsts] = useState();
-
-    const [hasUpdate    , setHasUpdate    ] = useState(false);
-    /**
-     * @type {[import('./services/socket.js').RequestMap["checkServerVersion"]["response"]["payload"], (any)=> void]}
-     */
-    const [updateData   , setUpdateData   ] = useState();
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getServerDB"]["response"]["payload"], (any)=> void]}
-     */
-    const [serverDB     , setServerDB     ] = useState();
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getPatches"]["response"]["payload"], (any)=> void]}
-     */
-    const [patchData    , setPatchData    ] = useState();
-
-    const [patchUpdate  , setPatchUpdate  ] = useState(false);
-
-    const [patchNew     , setPatchNew     ] = useState(false);
-
-    useEffect(()=>{
-        (async () => {
-            if (connected && currentConsts == undefined) {
-                try {
-                    const res = await request("getConstValues");
-
-                    if (res.type == "getConstValues") {
-                        setCurrentConsts(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }  
-            }
+    const { data: currentConsts } = useRequest("getConstValues");
 
-            if (connected && updateData == undefined) {
-                try {
-                    const res = await request("checkServerVersion");
+    const { data: updateData    } = useRequest("checkServerVersion");
 
-                    if (res.type == "checkServerVersion") {
-                        if(res.payload.update == true){
-                            setHasUpdate(true);
-                        }
-
-                        setUpdateData(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }  
-            }
+    const { data: serverDB      } = useRequest("getServerDB");
 
-            if (connected && serverDB == undefined) {
-                try {
-                    const res = await request("getServerDB");
+    const { data: patchData     } = useRequest("getPatches");
 
-                    if (res.type == "getServerDB") {
-                        setServerDB(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }  
-            }
+    const [patchUpdate  , setPatchUpdate  ] = useState(false);
 
-            if (connected && patchData == undefined) {
-                try {
-                    const res = await request("getPatches");
+    const [patchNew     , setPatchNew     ] = useState(false);
 
-                    if (res.type == "getPatches") {
-                        setPatchData(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }  
-            }
-        })();
-    },[connected]);
+    const hasUpdate = updateData != undefined && updateData.update == true;
 
     /**
      * Compares if the current > target
@@ -0,0 +1,177 @@
+import { useState } from "react";
+import { request, can, RequestError } from "./services/socket.js";
+import { useJobs } from "./services/hooks.js";
+import JobLog from "./components/JobLog.jsx";
+import "./css/Jobs.css";
+
+/**
+ * Readable names for the messages that start jobs
+ */
+const JOB_LABELS = {
+    installAsset: "Install asset",
+    uninstallAsset: "Uninstall asset",
+    installPatch: "Install patch",
+    uninstallPatch: "Uninstall patch",
+    startProcess: "Test process"
+};
+
+/**
+ * What a job is working on, from the payload it was started with.
+ *
+ * @param {import('./services/hooks.js').JobState} job
+ */
+function jobTarget(job) {
+    const payload = job.payload || {};
+
+    if (payload.patch != undefined) {
+        return payload.patch.replace(/_/g, " ");
+    }
+
+    if (payload.version != undefined) {
+        return `${payload.version} ${payload.os}`;
+    }
+
+    return "";
+};
+
+/**
+ * Jobs page
+ *
+ * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0
+ */
+export default function Jobs({ connected, setNeedsRestart }) {
+    const jobs = useJobs();
+
+    const [actionMessage, setActionMessage] = useState();
+
+    const active = jobs.filter(job => !job.done);
+
+    const recent = jobs.filter(job => job.done);
+
+    /**
+     * @param {"cancelJob" | "pauseJob" | "resumeJob"} type
+     * @param {import('./services/hooks.js').JobState} job
+     */
+    async function control(type, job) {
+        if (type == "cancelJob" && !confirm(`Are you sure you want to cancel job ${job.jobId} (${JOB_LABELS[job.type] || job.type})?`)) {
+            return;
+        }
+
+        try {
+            const res = await request(type, { jobId: job.jobId });
+
+            if (res.type == "error") {
+                setActionMessage(res.payload.message);
+
+                console.error(res.payload.message);
+            } else {
+                setActionMessage();
+            }
+        } catch (error) {
+            if (error instanceof RequestError) {
+                setActionMessage(error.message);
+            }
+
+            console.error(error);
+        }
+    };
+
+    /**
+     * @param {import('./services/hooks.js').JobState} job
+     */
+    function jobActions(job) {
+        if (job.done) {
+            return "";
+        }
+
+        return (
+            <div className="jobs-actions">
+                {job.pausable && can("pauseJob") && job.state != "queued" ?
+                    job.state == "paused" ?
+                        <div className="general-btn jobs-btn" title="Resume job" onClick={() => control("resumeJob", job)}>Resume</div>
+                        :
+                        <div className="general-btn jobs-btn" title="Pause job" onClick={() => control("pauseJob", job)}>Pause</div>
+                    : ""
+                }
+                {job.cancellable && can("cancelJob") ?
+                    <div className="general-btn jobs-btn" title="Cancel job" onClick={() => control("cancelJob", job)}>Cancel</div>
+                    : ""
+                }
+            </div>
+        );
+    };
+
+    /**
+     * @param {import('./services/hooks.js').JobState[]} list
+     * @param {string} empty shown when the list is empty
+     */
+    function jobTable(list, empty) {
+        return (
+            <div className="jobs-table-holder">
+                <table className="jobs-table">
+                    <thead>
+                        <tr className="jobs-table-header">
+                            <th>Job</th>
+                            <th>Requested</th>
+                            <th>Progress</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {list.length == 0 ?
+                            <tr>
+                                <td colSpan={5} className="sub-header">{empty}</td>
+                            </tr>
+                            :
+                            list.map(job => (
+                                <tr key={job.jobId}>
+                                    <td>
+                                        <span className="color-yellow">{JOB_LABELS[job.type] || job.type || "Job"}</span> {jobTarget(job)}
+                                        <div className="sub-header">{`#${job.jobId}${job.owner ? ` by ${job.owner}` : ""}`}</div>
+                                    </td>
+                                    <td>{job.created == undefined ? "" : new Date(job.created).toLocaleString()}</td>
+                                    <td className="jobs-progress">
+                                        <progress style={{width:"100%"}} value={job.progress} max={100}>{`${job.progress}%`}</progress>
+                                        <div className={`sub-header ${job.state == "complete" ? "color-green" : job.state == "failed" || job.state == "cancelled" ? "color-red" : ""}`}>
+                                            {`${job.state || (job.done ? "done" : "running")} - ${job.progress}%`}
+                                        </div>
+                                    </td>
+                                    <td className="jobs-status">
+                                        <div>{job.task}</div>
+                                        <div className="sub-header">{job.status}</div>
+                                        <JobLog jobId={job.jobId}/>
+                                    </td>
+                                    <td>{jobActions(job)}</td>
+                                </tr>
+                            ))
+                        }
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+
+    return (
+        <div className='main-holder'>
+            <h3>
+                Jobs
+                <div className='sub-header'>
+                    Installs and other long running tasks on the server.
+                </div>
+            </h3>
+
+            {actionMessage == undefined ? "" :
+                <div style={{fontSize: ".8rem"}} className="color-red">{actionMessage}</div>
+            }
+
+            <div>Active:</div>
+            <hr/>
+            {jobTable(active, connected ? "No jobs running." : "Not connected.")}
+
+            <div>Recent:</div>
+            <hr/>
+            {jobTable(recent, "No finished jobs.")}
+        </div>
+    )
+}
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { login } from "./services/socket.js";
+import "./css/Header.css";
+import "./css/Login.css";
+
+/**
+ * Login page, shown until the admin has a valid session.
+ */
+export default function Login() {
+    const [username, setUsername] = useState("");
+
+    const [password, setPassword] = useState("");
+
+    const [error   , setError   ] = useState();
+
+    const [busy    , setBusy    ] = useState(false);
+
+    async function handleSubmit(e) {
+        e.preventDefault();
+
+        if (busy || username.trim() == "" || password == "") {
+            return;
+        }
+
+        setBusy(true);
+
+        setError();
+
+        const res = await login(username.trim(), password);
+
+        if (!res.success) {
+            setError(res.message);
+
+            setPassword("");
+        }
+
+        setBusy(false);
+    };
+
+    return (
+        <div className="login-holder">
+            <div title="Opera Omnia Admin Panel" className="header-banner-image"></div>
+            <form onSubmit={handleSubmit} className="login-form">
+                <div>Admin Panel Login</div>
+                <hr/>
+                <label htmlFor="username">
+                    Username:
+                </label>
+                <input
+                    type="text"
+                    name="username"
+                    id="username"
+                    autoComplete="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="admin"
+                />
+                <label htmlFor="password">
+                    Password:
+                </label>
+                <input
+                    type="password"
+                    name="password"
+                    id="password"
+                    autoComplete="current-password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                />
+                {error == undefined ? "" :
+                    <div className="login-error color-red">{error}</div>
+                }
+                <button
+                    className={busy || username.trim() == "" || password == "" ? "btn-inactive" : "btn-active"}
+                    disabled={busy}
+                    type="submit"
+                >
+                    {busy ? "Logging in..." : "Login"}
+                </button>
+            </form>
+        </div>
+    );
+};
@@ -1,5 +1,7 @@
-import { useState, useRef, useEffect } from "react";
-import { subscribe, request } from "./services/socket.js";
+import { useState, useEffect } from "react";
+import { request, can, RequestError } from "./services/socket.js";
+import { useRequest, useJob, useJobs } from "./services/hooks.js";
+import JobLog from "./components/JobLog.jsx";
 import "./css/Patches.css";
 
 const PAGE_SIZE = 5;
@@ -10,18 +12,11 @@ const PAGE_SIZE = 5;
  * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0
  */
 export default function Patches({ connected, setNeedsRestart }) {
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getConstValues"]["response"]["payload"], (any)=> void]}
-     */
-    const [currentConsts, setCurrentConsts] = useState();
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getPatches"]["response"]["payload"], (any)=> void]}
-     */
-    const [patchData    , setPatchData    ] = useState();
-    /**
-     * @type {[import('./services/socket.js').RequestMap["getServerDB"]["response"]["payload"], (any)=> void]}
-     */
-    const [serverDB     , setServerDB     ] = useState();
+    const { data: currentConsts } = useRequest("getConstValues");
+
+    const { data: patchData     } = useRequest("getPatches");
+
+    const { data: serverDB, refetch: getServerDB } = useRequest("getServerDB");
     /**
      * @type {[boolean, (any)=> void]}
      */
@@ -29,91 +24,48 @@ export default function Patches({ connected, setNeedsRestart }) {
     /**
      * The currently running job. Only one patch job runs at a time.
      *
-     * @type {[{name: string, type: "installPatch" | "uninstallPatch", progress: number, status: string, task: string} | undefined, (any)=> void]}
+     * @type {[{name: string, type: "installPatch" | "uninstallPatch", jobId: number, status: string, task: string} | undefined, (any)=> void]}
      */
-    const [activeJob    , setActiveJob    ] = useState();
+    const [jobStart     , setJobStart     ] = useState();
     /**
      * Result of the last finished job, shown inline in that patch's row.
      *
-     * @type {[{name: string, status: string, task: string, success: boolean} | undefined, (any)=> void]}
+     * @type {[{jobId: number, name: string, status: string, task: string, success: boolean} | undefined, (any)=> void]}
      */
     const [lastJob      , setLastJob      ] = useState();
 
     const [page         , setPage         ] = useState(1);
 
-    const jobs = useRef(new Map());
-
-    useEffect(()=>{
-        (async () => {
-            if (connected && currentConsts == undefined) {
-                try {
-                    const res = await request("getConstValues");
-
-                    if (res.type == "getConstValues") {
-                        setCurrentConsts(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }
+    const job = useJob(jobStart?.jobId, {
+        initial: jobStart,
+        onComplete: async (job) => {
+            if(job.success){
+                setNeedsRestart(true);
             }
 
-            if (connected && serverDB == undefined) {
-                try {
-                    const res = await request("getServerDB");
-
-                    if (res.type == "getServerDB") {
-                        setServerDB(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }
-            }
+            setLastJob({ jobId: job.jobId, name: jobStart.name, task: job.task, status: job.status, success: job.success });
 
-            if (connected && patchData == undefined) {
-                try {
-                    const res = await request("getPatches");
-
-                    if (res.type == "getPatches") {
-                        setPatchData(res.payload);
-                    } else {
-                        console.error(res.payload.message);
-                    }
-                } catch (error) {
-                    console.error(error);
-                }
-            }
-        })();
-    },[connected]);
+            setJobStart();
+
+            await getServerDB();
+        }
+    });
 
+    const activeJob = jobStart == undefined || job == undefined || job.done ? undefined : { ...jobStart, ...job };
 
+    const jobs = useJobs();
+    // pick back up a patch job started before a reload or from another tab
     useEffect(() => {
-        const subProgress = subscribe("jobProgress", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
-
-            if (job) {
-                job.onProgress(data);
-            };
-        });
-
-        const subComplete = subscribe("jobComplete", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
-
-            if (job) {
-                job.onComplete(data);
-            };
-        });
-
-        return () => {
-            if(connected){
-                subProgress();
-                subComplete();
-            }
-        };
-    }, []);
+        if (jobStart != undefined) {
+            return;
+        }
+
+        const running = jobs.find(self => !self.done && (self.type == "installPatch" || self.type == "uninstallPatch"));
+
+        if (running != undefined) {
+            setJobStart({ name: running.payload.patch, type: running.type, jobId: running.jobId, status: running.status, task: running.task });
+        }
+    }, [jobs, jobStart]);
 
     /**
      * Readable patch name, underscores become spaces.
@@ -244,20 +196,6 @@ export default function Patches({ connected, setNeedsRestart }) {
         return issues;
     };
 
-    async function getServerDB(){
-        try {
-            const res = await request("getServerDB");
-
-            if (res.type == "getServerDB") {
-                setServerDB(res.payload);
-            } else {
-                console.error(res.payload.message);
-            }
-        } catch (error) {
-            console.error(error);
-        }
-    };
-
     /**
      * Runs an install or uninstall job for a patch. Progress is shown
      * inline in the patch's actions cell.
@@ -292,35 +230,13 @@ export default function Patches({ connected, setNeedsRestart }) {
 
                 return;
             } else {
-                const jobId = res.payload.jobId;
-
-                setActiveJob({ name: patch.name, type: type, progress: 0, status: res.payload.status, task: res.payload.task || "Starting..." });
-
-                jobs.current.set(jobId, {
-                    onProgress: async (data) => {
-                        setActiveJob((prevValue) => prevValue && {
-                            ...prevValue,
-                            progress: data.payload.progress,
-                            status: data.payload.status,
-                            task: data.payload.task 
-                        });
-                    },
-                    onComplete: async (data) => {
-                        if(data.payload.success != 0){
-                            setNeedsRestart(true);
-                        }
-
-                        setLastJob({ name: patch.name, task: data.payload.task, status: data.payload.status, success: data.payload.success });
-
-                        setActiveJob();
-
-                        jobs.current.delete(jobId);
-
-                        await getServerDB();
-                    }
-                });
+                setJobStart({ name: patch.name, type: type, jobId: res.payload.jobId, status: res.payload.status, task: res.payload.task || "Starting..." });
             }
         } catch (error) {
+            if (error instanceof RequestError) {
+                setLastJob({ name: patch.name, status: error.message, success: false, task: "" });
+            }
+
             console.error(error);
         }
     };
@@ -335,6 +251,7 @@ export default function Patches({ connected, setNeedsRestart }) {
                     <div className="">{activeJob.task}</div>
                     <progress style={{width:"100%"}} value={activeJob.progress} max={100}>{`${activeJob.progress}%`}</progress>
                     <div className="sub-header">{activeJob.status}</div>
+                    <JobLog jobId={activeJob.jobId}/>
                 </div>
             );
         }
@@ -350,7 +267,7 @@ export default function Patches({ connected, setNeedsRestart }) {
         const buttons = [];
 
         if (installed == undefined || hasUpdate) {
-            const issues = busy ? ["Another patch job is running."] : getInstallIssues(patch);
+            const issues = !can("installPatch") ? ["Your role can't install patches."] : busy ? ["Another patch job is running."] : getInstallIssues(patch);
 
             const label = hasUpdate ? "Update" : "Install";
 
@@ -370,7 +287,7 @@ export default function Patches({ connected, setNeedsRestart }) {
         }
 
         if (installed != undefined) {
-            const issues = busy ? ["Another patch job is running."] : getUninstallIssues(patch);
+            const issues = !can("uninstallPatch") ? ["Your role can't uninstall patches."] : busy ? ["Another patch job is running."] : getUninstallIssues(patch);
 
             if (issues.length == 0) {
                 buttons.push(
@@ -391,7 +308,10 @@ export default function Patches({ connected, setNeedsRestart }) {
             <>
                 {buttons}
                 {lastJob == undefined || lastJob.name != patch.name ? "" :
-                    <div className={`patches-job-result ${lastJob.success ? "color-green" : "color-red"}`}>{lastJob.status}</div>
+                    <div className="patches-job-result">
+                        <div className={lastJob.success ? "color-green" : "color-red"}>{lastJob.status}</div>
+                        <JobLog jobId={lastJob.jobId}/>
+                    </div>
                 }
             </>
         );
@@ -1,5 +1,6 @@
-import { useState, useEffect } from "react";
-import { request } from "./services/socket.js";
+import { useState } from "react";
+import { request, can, RequestError } from "./services/socket.js";
+import { useRequest } from "./services/hooks.js";
 import "./css/Players.css";
 
 const PAGE_SIZE = 12;
@@ -11,9 +12,11 @@ const PAGE_SIZE = 12;
  */
 export default function Players({ connected, setNeedsRestart }){
     /**
-     * @type {[import('./services/socket.js').RequestMap["getPlayerAccounts"]["response"]["payload"]["accounts"], (any)=> void]}
+     * Search filter the accounts were loaded with
+     *
+     * @type {[import('./services/socket.js').RequestMap["getPlayerAccounts"]["request"]["payload"], (any)=> void]}
      */
-    const [accounts     , setAccounts     ] = useState();
+    const [filter       , setFilter       ] = useState({});
     /**
      * @type {["all" | "player_id" | "ip_address" | "uuid", (any)=> void]}
      */
@@ -37,20 +40,17 @@ export default function Players({ connected, setNeedsRestart }){
      */
     const [secretResult , setSecretResult ] = useState();
 
-    useEffect(()=>{
-        (async () => {
-            if (connected && accounts == undefined) {
-                await loadAccounts();
-            }
-        })();
-    },[connected]);
+    const { data: accountsData, error: accountsError, refetch: loadAccounts } = useRequest("getPlayerAccounts", filter);
+
+    const accounts = accountsData != undefined && accountsData.success ? accountsData.accounts : undefined;
 
     /**
-     * Loads accounts with the current search filter.
+     * Searches accounts with the current filter.
      *
      * Only one of uuid, player_id or ip_address can be set per request.
      */
-    async function loadAccounts() {
+    async function handleSearch(e) {
+        e.preventDefault();
         /**
          * @type {import('./services/socket.js').RequestMap["getPlayerAccounts"]["request"]["payload"]}
          */
@@ -60,49 +60,23 @@ export default function Players({ connected, setNeedsRestart }){
             payload[searchType] = searchValue.trim();
         }
 
-        try {
-            const res = await request("getPlayerAccounts", payload);
-
-            if (res.type == "getPlayerAccounts") {
-                if (res.payload.success) {
-                    setAccounts(res.payload.accounts);
-
-                    setPage(1);
-                } else {
-                    console.error("Issue getting player accounts");
-                }
-            } else {
-                console.error(res.payload.message);
-            }
-        } catch (error) {
-            console.error(error);
+        setPage(1);
+        // same filter won't trigger a new request on its own
+        if (JSON.stringify(payload) == JSON.stringify(filter)) {
+            await loadAccounts();
+        } else {
+            setFilter(payload);
         }
     };
 
-    async function handleSearch(e) {
-        e.preventDefault();
-
-        await loadAccounts();
-    };
-
-    async function clearSearch() {
+    function clearSearch() {
         setSearchType("all");
 
         setSearchValue("");
 
-        try {
-            const res = await request("getPlayerAccounts", {});
+        setPage(1);
 
-            if (res.type == "getPlayerAccounts" && res.payload.success) {
-                setAccounts(res.payload.accounts);
-
-                setPage(1);
-            } else {
-                console.error("Issue getting player accounts");
-            }
-        } catch (error) {
-            console.error(error);
-        }
+        setFilter({});
     };
 
     function openModal(type, account) {
@@ -147,6 +121,10 @@ export default function Players({ connected, setNeedsRestart }){
                 setActionMessage(`Couldn't delete account ${modal.account.player_id}.`);
             }
         } catch (error) {
+            if (error instanceof RequestError) {
+                setActionMessage(error.message);
+            }
+
             console.error(error);
         }
 
@@ -176,6 +154,10 @@ export default function Players({ connected, setNeedsRestart }){
                 setActionMessage(`Couldn't switch device for ${modal.account.player_id}.`);
             }
         } catch (error) {
+            if (error instanceof RequestError) {
+                setActionMessage(error.message);
+            }
+
             console.error(error);
         }
 
@@ -200,6 +182,10 @@ export default function Players({ connected, setNeedsRestart }){
                 console.error(res.payload.message);
             }
         } catch (error) {
+            if (error instanceof RequestError) {
+                setActionMessage(error.message);
+            }
+
             console.error(error);
         }
     };
@@ -226,12 +212,24 @@ export default function Players({ connected, setNeedsRestart }){
                             <div className="sub-header">{`Created ${account.create_at}`}</div>
                         </div>
                         <div className="players-card-actions">
-                            <div title="Re-link this account to a new device UUID" className="general-btn players-btn" onClick={() => openModal("switch", account)}>
-                                Switch Device
-                            </div>
-                            <div title="Delete this player account" className="btn-reset players-btn players-delete-btn" onClick={() => openModal("delete", account)}>
-                                Delete
-                            </div>
+                            {can("switchDevice") ?
+                                <div title="Re-link this account to a new device UUID" className="general-btn players-btn" onClick={() => openModal("switch", account)}>
+                                    Switch Device
+                                </div>
+                                :
+                                <div title="Your role can't switch devices." className="general-btn-inactive players-btn">
+                                    Switch Device 🚫
+                                </div>
+                            }
+                            {can("deletePlayerID") ?
+                                <div title="Delete this player account" className="btn-reset players-btn players-delete-btn" onClick={() => openModal("delete", account)}>
+                                    Delete
+                                </div>
+                                :
+                                <div title="Your role can't delete accounts." className="general-btn-inactive players-btn">
+                                    Delete 🚫
+                                </div>
+                            }
                         </div>
                     </div>
                 ))
@@ -293,6 +291,9 @@ export default function Players({ connected, setNeedsRestart }){
             {actionMessage == undefined ? "" :
                 <div style={{fontSize: ".8rem"}} className="color-yellow">{actionMessage}</div>
             }
+            {accountsError == undefined && (accountsData == undefined || accountsData.success) ? "" :
+                <div style={{fontSize: ".8rem"}} className="color-red">{accountsError || "Issue getting player accounts."}</div>
+            }
             {accounts == undefined ? "" :
                 <>
                     {accountsList}
@@ -300,34 +301,38 @@ export default function Players({ connected, setNeedsRestart }){
                 </>
             }
 
-            <div style={{marginTop: "10px"}}>Password Reset:</div>
-            <hr/>
-            <div style={{fontSize: "0.8rem"}}>
-                <ul style={{paddingInlineStart:"1.5rem", marginBlockEnd: "0rem"}}>
-                    <li>Looks up the password reset secret for a user account by username.</li>
-                    <li>Usernames and passwords are one-way hashed, they can not be recovered, only reset.</li>
-                </ul>
-            </div>
-            <form onSubmit={getSecret} className="players-search">
-                <input
-                    type="text"
-                    name="secretName"
-                    value={secretName}
-                    onChange={(e) => setSecretName(e.target.value)}
-                    placeholder="Account username"
-                />
-                &nbsp;
-                <button className="general-btn players-btn" type="submit">Get Reset Secret</button>
-            </form>
-            {secretResult == undefined ? "" :
-                secretResult.found ?
-                    <div style={{fontSize: ".8rem"}}>
-                        Reset secret: <span className="color-yellow">{secretResult.secret}</span>
-                    </div>
-                    :
-                    <div style={{fontSize: ".8rem"}} className="color-red">
-                        Account not found. Usernames are one-way hashed, check the exact spelling.
+            {!can("getSecret") ? "" :
+                <>
+                    <div style={{marginTop: "10px"}}>Password Reset:</div>
+                    <hr/>
+                    <div style={{fontSize: "0.8rem"}}>
+                        <ul style={{paddingInlineStart:"1.5rem", marginBlockEnd: "0rem"}}>
+                            <li>Looks up the password reset secret for a user account by username.</li>
+                            <li>Usernames and passwords are one-way hashed, they can not be recovered, only reset.</li>
+                        </ul>
                     </div>
+                    <form onSubmit={getSecret} className="players-search">
+                        <input
+                            type="text"
+                            name="secretName"
+                            value={secretName}
+                            onChange={(e) => setSecretName(e.target.value)}
+                            placeholder="Account username"
+                        />
+                        &nbsp;
+                        <button className="general-btn players-btn" type="submit">Get Reset Secret</button>
+                    </form>
+                    {secretResult == undefined ? "" :
+                        secretResult.found ?
+                            <div style={{fontSize: ".8rem"}}>
+                                Reset secret: <span className="color-yellow">{secretResult.secret}</span>
+                            </div>
+                            :
+                            <div style={{fontSize: ".8rem"}} className="color-red">
+                                Account not found. Usernames are one-way hashed, check the exact spelling.
+                            </div>
+                    }
+                </>
             }
 
             {modal == undefined ? "" :
@@ -1,552 +1,451 @@
-import { useState, useEffect } from 'react';
-import { request } from "./services/socket";
+import { useState, useEffect, useRef } from 'react';
+import { request, can, RequestError } from "./services/socket";
+import { useRequest, useSubscription } from "./services/hooks";
+import ConfigHistory from "./components/ConfigHistory.jsx";
 import "./css/Settings.css";
 
 /**
- * Settings page
+ * File size for display
  * 
- * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0 
+ * @param {number} bytes 
  */
-export default function Settings({ connected, setNeedsRestart }) {
-    const [updatedValues , setUpdatedValues ] = useState({});
-
-    const [hasUpdates    , setHasUpdates    ] = useState(false);
-
-    const [portOK        , setPortOK        ] = useState(true);
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
 
-    const [adminPortOK   , setAdminPortOK   ] = useState(true);
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
 
-    const [IPAddressOK   , setIPAddressOK   ] = useState(true);
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
 
-    const [envValues     , setEnvValues     ] = useState(undefined);
-
-    const [BACKUP        , setBACKUP        ] = useState("30"); 
-
-    const [VER           , setVER           ] = useState("GL"); 
-
-    const [IP_ADDRESS    , setIP_ADDRESS    ] = useState("127.0.0.1"); 
+/**
+ * Checks a form value against its setting, like the server does.
+ * 
+ * @param {import('./services/socket.js').EnvField} field 
+ * @param {string|boolean} value 
+ * @returns {string|undefined} what is wrong, `undefined` if the value is ok
+ */
+function checkEnvValue(field, value) {
+    if (field.type == "boolean") {
+        return undefined;
+    }
 
-    const [PORT          , setPORT          ] = useState("8000"); 
+    const text = `${value}`;
 
-    const [USE_HTTPS     , setUSE_HTTPS     ] = useState(false); 
+    if (field.enum != undefined && !field.enum.includes(text)) {
+        return `Must be one of ${field.enum.map(self => `"${self}"`).join(", ")}.`;
+    }
 
-    const [ADMIN_PANEL   , setADMIN_PANEL   ] = useState(true); 
+    if (field.type == "number" && !/^-?[0-9]+$/.test(text)) {
+        return field.hint || "Must be a whole number.";
+    }
 
-    const [ADMIN_PORT    , setADMIN_PORT    ] = useState("8081"); 
+    if (field.pattern != undefined && !new RegExp(field.pattern).test(text)) {
+        return field.hint || "Wrong format.";
+    }
 
-    const [ADMIN_USERNAME, setADMIN_USERNAME] = useState("admin"); 
+    if (field.min != undefined && Number(text) < field.min) {
+        return field.hint || `Must be at least ${field.min}.`;
+    }
 
-    const [ADMIN_PASSWORD, setADMIN_PASSWORD] = useState("password"); 
-    
-    const [LOG_LEVEL     , setLOG_LEVEL     ] = useState("error");
+    if (field.max != undefined && Number(text) > field.max) {
+        return field.hint || `Must be at most ${field.max}.`;
+    }
 
-    const [logsPurged    , setLogsPurged    ] = useState();
+    return undefined;
+};
 
+/**
+ * Settings page
+ * 
+ * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0 
+ */
+export default function Settings({ connected, setNeedsRestart }) {
+    /**
+     * Form value for each key, checkboxes hold booleans
+     */
+    const [formValues  , setFormValues  ] = useState({});
+
+    const [shownSecrets, setShownSecrets] = useState({});
+
+    const [logsPurged  , setLogsPurged  ] = useState();
+    /**
+     * Server validation message for each rejected field
+     */
+    const [fieldErrors , setFieldErrors ] = useState({});
+
+    const { data: envValues, refetch: refetchEnvValues } = useRequest("getEnvValues", {}, { enabled: can("getEnvValues") });
+
+    const { data: logFiles, refetch: refetchLogFiles } = useRequest("listLogs", {}, { enabled: can("listLogs") });
+    // saves from this and other panels
+    useSubscription("configChanged", () => refetchEnvValues());
+
+    const schema = envValues == undefined ? [] : envValues.schema;
+
+    const groups = [...new Set(schema.map(field => field.group))];
+    /**
+     * Settings the form has a new value for. Secrets come blanked, so they only count once typed in
+     */
+    const editedFields = schema.filter(field => field.key in formValues && `${formValues[field.key]}` != `${envValues.values[field.key]}`);
+    /**
+     * Edited values as the strings setEnvValues takes
+     * 
+     * @type {{[key: string]: string}}
+     */
+    const updatedValues = Object.fromEntries(editedFields.map(field => [field.key, `${formValues[field.key]}`]));
+
+    const hasUpdates = Object.keys(updatedValues).length != 0;
+    /**
+     * @type {{[key: string]: string}}
+     */
+    const formErrors = Object.fromEntries(schema
+        .filter(field => field.key in formValues && (!field.secret || editedFields.includes(field)))
+        .map(field => [field.key, checkEnvValue(field, formValues[field.key])])
+        .filter(([key, error]) => error != undefined));
+
+    const canSubmit = hasUpdates && Object.keys(formErrors).length == 0;
+    /**
+     * Server values the form was last filled from, tells fields edited here apart from ones changed elsewhere
+     */
+    const filledValuesRef = useRef();
+    // fresh values fill every field that has no unsaved edit
     useEffect(() => {
-        (async () => {
-            if (envValues == undefined && connected) {
-                try {
-                    const response = await request("getEnvValues");
-
-                    if (response.type === "getEnvValues") {
-                        setEnvValues(response.payload);
-
-                        setBACKUP(response.payload.BACKUP);
-
-                        setVER(response.payload.VER);
+        if (envValues == undefined) {
+            return;
+        }
 
-                        setIP_ADDRESS(response.payload.IP_ADDRESS);
+        const filled = filledValuesRef.current;
 
-                        setPORT(response.payload.PORT);
+        filledValuesRef.current = envValues.values;
 
-                        setUSE_HTTPS(response.payload.USE_HTTPS);
+        setFormValues((prevValue) => Object.fromEntries(Object.keys(envValues.values).map(key => {
+            const edited = filled != undefined && key in prevValue && `${prevValue[key]}` != `${filled[key]}`;
 
-                        setADMIN_PANEL(response.payload.ADMIN_PANEL);
+            return [key, edited ? prevValue[key] : envValues.values[key]];
+        })));
+    }, [envValues]);
 
-                        setADMIN_PORT(response.payload.ADMIN_PORT);
+    /**
+     * @param {import('./services/socket.js').EnvField} field 
+     * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e 
+     */
+    const handleChange = (field, e) => {
+        const value = field.type == "boolean" ? !!(/** @type {HTMLInputElement} */(e.target)).checked : e.target.value;
 
-                        setADMIN_USERNAME(response.payload.ADMIN_USERNAME);
+        if (fieldErrors[field.key] != undefined) {
+            setFieldErrors((prevValue) => {
+                const next = { ...prevValue };
 
-                        setADMIN_PASSWORD(response.payload.ADMIN_PASSWORD);
+                delete next[field.key];
 
-                        setLOG_LEVEL(response.payload.LOG_LEVEL);
-                    } else {
-                        console.error("Error on getEnvValues return.");
-                    }
-                } catch (error) {
-                    console.error("Error on getEnvValues request.");
+                return next;
+            });
+        }
 
-                    console.error(error);
-                }
-            }
-        })();
-    }, [connected]);
+        setFormValues((prevValue) => ({ ...prevValue, [field.key]: value }));
+    };
 
-    const handleChange = async (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
 
-        const key = e.target.name;
-
-        const value = e.target.value;
-
-        switch (key) {
-            case "BACKUP":
-                setBACKUP(value);
-
-                if(envValues[key] != value){
-                    setUpdatedValues((prevValue) => {
-                        prevValue[key] = `${value}`;
-
-                        return prevValue;
-                    });
-
-                    setHasUpdates(true);
-                }
-                break;
-            case "VER":
-                {
-                    setVER(value);
+        if (!canSubmit) {
+            return;
+        }
 
-                    if(!(value == "GL" || value == "JP")){
-                        return;
-                    } else {
-                        if(envValues[key] != value){
-                            setUpdatedValues((prevValue) => {
-                                prevValue[key] = value;
-                                
-                                return prevValue;
-                            });
-
-                            setHasUpdates(true);
-                        }
-                    }
+        try {
+            const response = await request("setEnvValues", updatedValues);
 
-                    return true;
-                }
-                break;
-            case "IP_ADDRESS":
-                {
-                    setIP_ADDRESS(value);
+            if (response.type === "setEnvValues") {
+                setFieldErrors({});
+                // secrets come back blanked, so a saved one would look edited forever
+                setFormValues((prevValue) => {
+                    const next = { ...prevValue };
 
-                    const ipv4Pattern = /^(\d{1,3}\.){3}\d{1,3}$/;
-                    if (!ipv4Pattern.test(value)) {
-                        setIPAddressOK(false);
+                    schema.filter(field => field.secret && field.key in next).forEach(field => next[field.key] = "");
 
-                        return;
+                    return next;
+                });
+                // the restart banner is set from the configChanged broadcast
+                if(response.payload.success == true){
+                    if (response.payload.restart) {
+                        alert("Server settings updated!\nNeeds resets!");
                     } else {
-                        setIPAddressOK(true);
+                        alert("Server settings updated!");
                     }
+                } else {
+                    refetchEnvValues();
 
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = value;
-                            
-                            return prevValue;
-                        });
-
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "PORT":
-                {
-                    setPORT(value);
-
-                    const portPattern = /^([0-9]{1,4}|[1-5][0-9]{4}|6[0-4][0-9]{3}|65[0-4][0-9]{2}|655[0-2][0-9]|6553[0-5])$/;
-
-                    if (!portPattern.test(value)) {
-                        setPortOK(false);
-
-                        return;
-                    } else {
-                        setPortOK(true);
-                    }
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = `${value}`;
-                            
-                            return prevValue;
-                        });
-
-                        setHasUpdates(true);
-                    }
+                    alert("No server settings values were updating!");
                 }
-                break;
-            case "USE_HTTPS":
-                {
-                    const isChecked = e.target.checked;
-
-                    setUSE_HTTPS(!!isChecked);
-
-                    if(envValues[key] != isChecked){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = `${isChecked}`;
-                            
-                            return prevValue;
-                        });
+            } else {
+                setFieldErrors(response.payload.fields || {});
 
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "ADMIN_PANEL":
-                {
-                    const isChecked = e.target.checked;
+                console.error(response.payload.message);
 
-                    setADMIN_PANEL(!!isChecked);
+                alert(`Server settings update failed!\n${response.payload.message}`);
+            }
+        } catch (error) {
+            console.error(error);
 
-                    if(envValues[key] != isChecked){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = `${isChecked}`;
-                            
-                            return prevValue;
-                        });
+            if (error instanceof RequestError) {
+                alert(`Server settings update failed!\n${error.message}`);
+            }
+        }
+    };
 
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "ADMIN_PORT":
-                {
-                    setADMIN_PORT(value);
+    async function purgeLogs(){
+        try {
+            const response = await request("purgeLogs");
 
-                    const portPattern = /^([0-9]{1,4}|[1-5][0-9]{4}|6[0-4][0-9]{3}|65[0-4][0-9]{2}|655[0-2][0-9]|6553[0-5])$/;
+            if (response.type === "purgeLogs") {
+                setLogsPurged(`Logs Purged! ${response.payload.deleted} files deleted, ${formatBytes(response.payload.bytes)} freed.`);
 
-                    if (!portPattern.test(value)) {
-                        setAdminPortOK(false);
+                refetchLogFiles();
+            } else if(response.type === "error"){
+                setLogsPurged(response.payload.message);
 
-                        return;
-                    } else {
-                        setAdminPortOK(true);
-                    }
+                console.error(response.payload.message);
+            } else {
+                setLogsPurged("Error purging log files.");
 
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = `${value}`;
-                            
-                            return prevValue;
-                        });
+                console.error("Error purging log files.");
+            }
+        } catch (error) {
+            if (error instanceof RequestError) {
+                setLogsPurged(error.message);
+            }
 
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "ADMIN_USERNAME":
-                {
-                    setADMIN_USERNAME(value);
-
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = value;
-                            
-                            return prevValue;
-                        });
-
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "ADMIN_PASSWORD":
-                {
-                    setADMIN_PASSWORD(value);
-
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = value;
-                            
-                            return prevValue;
-                        });
-
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            case "LOG_LEVEL":
-                {
-                    setLOG_LEVEL(value);
-                    if(envValues[key] != value){
-                        setUpdatedValues((prevValue) => {
-                            prevValue[key] = value;
-                            
-                            return prevValue;
-                        });
-
-                        setHasUpdates(true);
-                    }
-                }
-                break;
-            default:
-                return;
-                break;
+            console.error(error);
         }
-        
-        return;
+
+        setTimeout(() => {
+            setLogsPurged();
+        },5000);
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    /**
+     * @param {string} file log file name
+     */
+    async function downloadLogFile(file) {
+        try {
+            const response = await request("downloadLog", { file: file });
 
-        const response = await request("setEnvValues", updatedValues);
+            if (response.type === "downloadLog") {
+                // file object
+                const blob = new Blob([response.payload.text], { type: 'text/plain' });
+                // anchor link
+                const element = document.createElement("a");
 
-        if (response.type === "setEnvValues") {
-            if(response.payload.success == true){
-                setUpdatedValues({});
+                element.href = URL.createObjectURL(blob);
 
-                setNeedsRestart(true);
+                element.download = response.payload.name;
+                // simulate link click (Required for this to work in FireFox)
+                document.body.appendChild(element);
 
-                setHasUpdates(false);
+                element.click();
 
-                alert("Server settings updated!\nNeeds resets!");
+                document.body.removeChild(element);
             } else {
-                setUpdatedValues({});
+                setLogsPurged(response.payload.message);
 
-                setHasUpdates(false);
+                console.error(response.payload.message);
 
-                alert("No server settings values were updating!");
+                refetchLogFiles();
+            }
+        } catch (error) {
+            if (error instanceof RequestError) {
+                setLogsPurged(error.message);
             }
-        } else {
-            alert("Server settings update failed!");
 
-            throw new Error(`Failed: ${response.payload.message}`);
+            console.error(error);
         }
     };
 
-    async function purgeLogs(){
-        const response = await request("purgeLogs");
-
-        if (response.type === "purgeLogs") {
-            setLogsPurged("Logs Purged!");
-        } else if(response.type === "error"){
-            setLogsPurged(response.payload.message);
-
-            console.error(response.payload.message);
-        } else {
-            setLogsPurged("Error purging log files.");
-
-            console.error("Error purging log files.");
-        }
+    /**
+     * @param {string} key 
+     */
+    const fieldError = (key) => {
+        const error = fieldErrors[key] || formErrors[key];
 
-        setTimeout(() => {
-            setLogsPurged();
-        },5000);
+        return error == undefined ? "" : <div className='color-red settings-field-error'>{error}</div>;
     };
 
-    return (
-        <div className='main-holder'>
-            <h3>
-                Settings
-                <div className='sub-header'>
-                    Edit the server configuration.
-                </div>
-            </h3>
+    /**
+     * Label with the setting's help lines
+     * 
+     * @param {import('./services/socket.js').EnvField} field 
+     */
+    const fieldLabel = (field) => {
+        const notes = [field.help, field.restart ? undefined : "Applies right away."].filter(note => note != undefined);
+
+        return (
+            <label htmlFor={field.key} title={field.desc.replace(/^; ?/gm, "")}>
+                {field.type == "boolean" ? <>&nbsp;</> : ""}{field.label}{field.type == "boolean" ? "" : ":"}
+                {notes.map(note => <div key={note} className='sub-header'>{note}</div>)}
+            </label>
+        );
+    };
 
-            <form onSubmit={handleSubmit}>
-                <div>
-
-                    <div>Game Server</div>
-                    <hr/>
-                    <div className='settings-pad-top'>Region</div>
-                    <label htmlFor="JP" style={{display:"flex", alignItems:"center"}}>
-                        <input
-                            key={VER}
-                            type="radio"
-                            name="VER"
-                            id="JP"
-                            value="JP"
-                            checked={VER == "JP"}
-                            onChange={(e) => handleChange(e)}
-                        />
-                        &nbsp;<span className="jpFlag" />&nbsp;(Japan)
-                    </label>
-                    <label htmlFor="GL" style={{display:"flex", alignItems:"center"}}>
-                        <input
-                            key={VER}
-                            type="radio"
-                            name="VER"
-                            id="GL"
-                            value="GL"
-                            checked={VER == "GL"}
-                            onChange={(e) => handleChange(e)}
-                        />
-                        &nbsp;<span className="glFlag" />&nbsp;(Global)
-                    </label>
-                </div>
-                <div className='settings-pad-top'>Network Configuration</div>
-                <div className="settings-sub">
-                    <label htmlFor="IP_ADDRESS">
-                        IP Address (v4):
-                    </label>
-                    <br/>
-                    <div style={{display:"flex"}}>
-                        <input
-                            type="text"
-                            name="IP_ADDRESS"
-                            id="IP_ADDRESS"
-                            value={IP_ADDRESS}
-                            onChange={(e) => handleChange(e)}
-                            placeholder="127.0.0.1"
-                        />
-                        <span title={IPAddressOK ? "IP Address format ok!" : "IP Address in incorrect format"} >&nbsp;{IPAddressOK ? "✅" : "❌"}</span>
-                    </div>
-                    <br/>
-                    <label htmlFor="PORT">
-                        Port:
-                    </label>
-                    <br/>
-                    <div style={{display:"flex"}}>
-                        <input
-                            type="number"
-                            name="PORT"
-                            id="PORT"
-                            value={PORT}
-                            onChange={(e) => handleChange(e)}
-                            placeholder="8000"
-                        />
-                        <span title={portOK ? "Port format ok!" : "Port in incorrect format"}>&nbsp;{portOK ? "✅" : "❌"}</span>
-                    </div>
-                    <br/>
+    /**
+     * Input for one setting, picked by its type
+     * 
+     * @param {import('./services/socket.js').EnvField} field 
+     */
+    const fieldInput = (field) => {
+        const value = formValues[field.key];
+
+        if (field.type == "boolean") {
+            return (
+                <div className='settings-field settings-field-check'>
                     <input
-                        key={USE_HTTPS}
                         type="checkbox"
-                        name="USE_HTTPS"
-                        id="USE_HTTPS"
-                        checked={USE_HTTPS}
-                        title="Requires key.pem and cert.pem files in root of server folder."
-                        onChange={(e) => handleChange(e)}
-                        placeholder="false"
+                        name={field.key}
+                        id={field.key}
+                        checked={!!value}
+                        onChange={(e) => handleChange(field, e)}
                     />
-                    <label 
-                        htmlFor="USE_HTTPS"
-                        title="Requires key.pem and cert.pem files in root of server folder."
-                    >
-                        &nbsp;Use HTTPS?<br/>
-                        <span className='sub-header'>Requires key.pem & cert.pem<br/>files in root of server folder.</span>
-                    </label>
+                    {fieldLabel(field)}
                 </div>
+            );
+        }
 
-                <div >Server Management</div>
-                <hr/>
-                <div className="settings-sub">
-                    <label htmlFor="BACKUP" className='settings-pad-top'>
-                        Backup time:<br/>
-                        <span className='sub-header'>in minutes.</span>
-                    </label>
-                    <br/>
-                    <input
-                        style={{display:"flex"}}
-                        type="number"
-                        name="BACKUP"
-                        id="BACKUP"
-                        value={BACKUP}
-                        onChange={(e) => handleChange(e)}
-                        placeholder="30"
-                    />
-                    <br/>
-                    <label htmlFor="LOG_LEVEL">
-                        Log level:
-                    </label>
-                    <br/>
+        if (field.enum != undefined) {
+            return (
+                <div className='settings-field'>
+                    {fieldLabel(field)}
                     <select
-                        key={LOG_LEVEL}
-                        name="LOG_LEVEL"
-                        id="LOG_LEVEL"
-                        value={LOG_LEVEL}
-                        onChange={(e) => handleChange(e)}
-                        placeholder="error"
+                        name={field.key}
+                        id={field.key}
+                        value={value == undefined ? field.value : `${value}`}
+                        onChange={(e) => handleChange(field, e)}
                     >
-                        <option defaultValue={true} value="error">error</option>
-                        <option  value="debug">debug</option>
-                        <option  value="warn">warn</option>
-                        <option  value="info">info</option>
+                        {field.enum.map(option => <option key={option} value={option}>{option}</option>)}
                     </select>
-                    <br/>
-                    <div 
-                        title="Delete old log files."
-                        onClick={purgeLogs}
-                        className='general-btn'
-                    >
-                        Purge Log Files
-                    </div>
-                    {logsPurged == undefined ? "":
-                        <div style={{fontSize: ".8rem"}} className='color-yellow'>
-                            {logsPurged}
-                        </div>
-                    }
                 </div>
+            );
+        }
 
-                <div>Admin Panel</div>
-                <hr/>
-                <div className="settings-sub">
-                    <input
-                        key={ADMIN_PANEL}
-                        type="checkbox"
-                        name="ADMIN_PANEL"
-                        id="ADMIN_PANEL"
-                        title="Disables this webpage, operate server VIA command lines."
-                        checked={ADMIN_PANEL}
-                        onChange={(e) => handleChange(e)}
-                        placeholder="true"
-                    />
-                    <label 
-                        htmlFor="ADMIN_PANEL"
-                        title="Disables this webpage, operate server VIA command lines."
-                    >
-                        &nbsp;Enabled?<br/>
-                        <span className='sub-header' style={{display:"flex"}}>Disables this webpage, operate<br/>server with command lines ONLY.</span>
-                    </label>
-                    <br/>
-                    <label htmlFor="ADMIN_USERNAME">
-                        Username:
-                    </label>
-                    <br/>
-                    <input
-                        style={{display:"flex"}}
-                        type="text"
-                        name="ADMIN_USERNAME"
-                        id="ADMIN_USERNAME"
-                        value={ADMIN_USERNAME}
-                        onChange={(e) => handleChange(e)}
-                        placeholder="admin"
-                    />
-                    <br/>
-                    <label htmlFor="ADMIN_PASSWORD">
-                        Password:
-                    </label>
-                    <br/>
+        const shown = !field.secret || shownSecrets[field.key];
+
+        return (
+            <div className='settings-field'>
+                {fieldLabel(field)}
+                <div style={{display:"flex"}}>
                     <input
-                        style={{display:"flex"}}
-                        type="text"
-                        name="ADMIN_PASSWORD"
-                        id="ADMIN_PASSWORD"
-                        value={ADMIN_PASSWORD}
-                        onChange={(e) => handleChange(e)}
-                        placeholder="password"
+                        type={field.type == "number" ? "number" : shown ? "text" : "password"}
+                        name={field.key}
+                        id={field.key}
+                        value={value == undefined ? "" : `${value}`}
+                        min={field.min}
+                        max={field.max}
+                        onChange={(e) => handleChange(field, e)}
+                        placeholder={field.secret ? "Unchanged" : field.value}
                     />
-                    <br/>
-                    <label htmlFor="ADMIN_PORT">
-                        Port:
-                    </label>
-                    <br/>
-                    <div style={{display:"flex"}}>
-                        <input
-                            type="number"
-                            name="ADMIN_PORT"
-                            id="ADMIN_PORT"
-                            value={ADMIN_PORT}
-                            onChange={(e) => handleChange(e)}
-                            placeholder="8081"
-                        />
-                        <span title={adminPortOK ? "Port format ok!" : "Port in incorrect format"}>&nbsp;{adminPortOK ? "✅" : "❌"}</span> 
+                    {field.secret ?
+                        <div
+                            title={shown ? "Hide value" : "Show value"}
+                            className='general-btn settings-logs-btn'
+                            onClick={() => setShownSecrets((prevValue) => ({ ...prevValue, [field.key]: !shown }))}
+                        >
+                            {shown ? "Hide" : "Show"}
+                        </div>
+                        : ""
+                    }
+                </div>
+            </div>
+        );
+    };
+
+    if (!can("getEnvValues")) {
+        return (
+            <div className='main-holder'>
+                <h3>
+                    Settings
+                    <div className='sub-header'>
+                        Only the owner can edit the server configuration.
                     </div>
+                </h3>
+            </div>
+        );
+    }
+
+    return (
+        <div className='main-holder'>
+            <h3>
+                Settings
+                <div className='sub-header'>
+                    Edit the server configuration.
                 </div>
+            </h3>
+
+            <form onSubmit={handleSubmit}>
+                {envValues == undefined ?
+                    <div className='sub-header'>{connected ? "Loading..." : "Not connected."}</div>
+                    :
+                    groups.map(group => (
+                        <div key={group}>
+                            <div className='settings-pad-top'>{group}</div>
+                            <hr/>
+                            <div className="settings-sub">
+                                {schema.filter(field => field.group == group).map(field => (
+                                    <div key={field.key}>
+                                        {fieldInput(field)}
+                                        {fieldError(field.key)}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))
+                }
+                {fieldError("payload")}
                 <button 
-                    className={hasUpdates ? 'btn-active' : 'btn-inactive'}
-                    disabled={!hasUpdates}
+                    className={canSubmit ? 'btn-active' : 'btn-inactive'}
+                    disabled={!canSubmit}
                     type="submit"
                 >
                     Update Settings
                 </button>
             </form>
+
+            <div className='settings-pad-top'>History</div>
+            <hr/>
+            {envValues == undefined ? "" : <ConfigHistory schema={schema}/>}
+
+            <div className='settings-pad-top'>Log Files</div>
+            <hr/>
+            <div className="settings-sub">
+                <div 
+                    title="Delete old log files."
+                    onClick={purgeLogs}
+                    className='general-btn'
+                >
+                    Purge Log Files
+                </div>
+                {logsPurged == undefined ? "":
+                    <div style={{fontSize: ".8rem"}} className='color-yellow'>
+                        {logsPurged}
+                    </div>
+                }
+                {logFiles == undefined ? "" :
+                    <table className="settings-logs">
+                        <tbody>
+                            {logFiles.files.map(file => (
+                                <tr key={file.name}>
+                                    <td>{file.name}{file.active ? <span className="color-green"> (active)</span> : ""}</td>
+                                    <td>{formatBytes(file.size)}</td>
+                                    <td>{new Date(file.modified).toLocaleString()}</td>
+                                    <td>
+                                        <div title="Download log file" className="general-btn settings-logs-btn" onClick={() => downloadLogFile(file.name)}>Download</div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                }
+            </div>
         </div>
     )
 }
\ No newline at end of file
@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { request, RequestError } from "../services/socket";
+import { useRequest, useSubscription } from "../services/hooks";
+import '../css/ConfigHistory.css';
+
+/**
+ * Setting value for display, empty text shown as a dash
+ *
+ * @param {string | undefined} value
+ */
+function showValue(value) {
+    return value == undefined || value == "" ? "-" : value;
+};
+
+/**
+ * Saved versions of the settings, with a side by side diff and restore for each.
+ *
+ * @param {{schema: import('../services/socket.js').EnvField[]}} param0
+ */
+export default function ConfigHistory({ schema }) {
+    const [selected     , setSelected     ] = useState();
+
+    const [actionMessage, setActionMessage] = useState();
+
+    const { data, error: errorMessage, refetch } = useRequest("getConfigHistory");
+    // saves and restores from any panel
+    useSubscription("configChanged", () => refetch());
+
+    const versions = data == undefined ? [] : data.versions;
+
+    const entry = versions.find(self => self.version == selected);
+
+    /**
+     * @param {string} key
+     */
+    const label = (key) => {
+        const field = schema.find(self => self.key == key);
+
+        return field == undefined ? key : `${field.group} ${field.label}`;
+    };
+
+    /**
+     * @param {import('../services/socket.js').ConfigVersion} version
+     */
+    async function restore(version) {
+        if (!confirm(`Restore settings to version ${version.version}?\n${version.differs.map(label).join("\n")}\n\nSecrets like the admin password aren't kept and stay as they are.`)) {
+            return;
+        }
+
+        try {
+            const res = await request("restoreConfig", { version: version.version });
+
+            if (res.type == "error") {
+                setActionMessage(res.payload.message);
+
+                console.error(res.payload.message);
+            } else if (res.payload.success) {
+                setActionMessage(`Restored version ${version.version} as version ${res.payload.version}.${res.payload.restart ? " Needs a restart." : ""}`);
+            } else {
+                setActionMessage(`Version ${version.version} already matches the running settings.`);
+            }
+        } catch (error) {
+            if (error instanceof RequestError) {
+                setActionMessage(error.message);
+            }
+
+            console.error(error);
+        }
+    };
+
+    /**
+     * Every setting of a version next to the one before it and the running one.
+     *
+     * @param {import('../services/socket.js').ConfigVersion} version
+     */
+    function versionDiff(version) {
+        const keys = Object.keys(version.values);
+
+        return (
+            <tr>
+                <td colSpan={5}>
+                    <table className="config-history-diff">
+                        <thead>
+                            <tr>
+                                <th>Setting</th>
+                                <th>Before</th>
+                                <th>{`Version ${version.version}`}</th>
+                                <th>Running</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map(key => {
+                                const change = version.changes.find(self => self.key == key);
+
+                                const differs = version.differs.includes(key);
+
+                                const secret = schema.some(field => field.key == key && field.secret);
+
+                                if (secret) {
+                                    return (
+                                        <tr key={key}>
+                                            <td>{label(key)}</td>
+                                            <td colSpan={2} className={change ? "color-yellow" : "sub-header"}>{change ? "changed" : "hidden"}</td>
+                                            <td className="sub-header">not kept</td>
+                                        </tr>
+                                    );
+                                }
+
+                                return (
+                                    <tr key={key}>
+                                        <td>{label(key)}</td>
+                                        <td className={change ? "color-red" : ""}>{showValue(change ? change.from : version.values[key])}</td>
+                                        <td className={change ? "color-green" : ""}>{showValue(version.values[key])}</td>
+                                        <td className={differs ? "color-yellow" : ""}>{differs ? "differs" : "same"}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </td>
+            </tr>
+        );
+    };
+
+    return (
+        <div className="config-history">
+            {errorMessage == undefined ? "" :
+                <div style={{fontSize: ".8rem"}} className="color-red">{errorMessage}</div>
+            }
+            {actionMessage == undefined ? "" :
+                <div style={{fontSize: ".8rem"}} className="color-yellow">{actionMessage}</div>
+            }
+            <table className="config-history-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Saved</th>
+                        <th>By</th>
+                        <th>Changed</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                {versions.length == 0 ?
+                    <tbody>
+                        <tr>
+                            <td colSpan={5} className="sub-header">No saved versions yet.</td>
+                        </tr>
+                    </tbody>
+                    :
+                    versions.map(version => (
+                        <tbody key={version.version}>
+                            <tr>
+                                <td>
+                                    {version.version}
+                                    {version.differs.length == 0 ? <span className="color-green"> (running)</span> : ""}
+                                </td>
+                                <td>{new Date(version.time).toLocaleString()}</td>
+                                <td>{version.user}</td>
+                                <td>
+                                    {version.changes.length == 0 ? <span className="sub-header">Starting settings</span> : version.changes.map(change => label(change.key)).join(", ")}
+                                    {version.restoredFrom == undefined ? "" : <div className="sub-header">{`Restored version ${version.restoredFrom}`}</div>}
+                                </td>
+                                <td>
+                                    <div className="config-history-actions">
+                                        <div
+                                            title={selected == version.version ? "Hide diff" : "Show diff"}
+                                            className="general-btn config-history-btn"
+                                            onClick={() => setSelected(selected == version.version ? undefined : version.version)}
+                                        >
+                                            {selected == version.version ? "Hide" : "Diff"}
+                                        </div>
+                                        <div
+                                            title={version.differs.length == 0 ? "Already the running settings" : "Restore this version"}
+                                            className={`general-btn${version.differs.length == 0 ? "-inactive" : ""} config-history-btn`}
+                                            onClick={() => version.differs.length != 0 && restore(version)}
+                                        >
+                                            Restore
+                                        </div>
+                                    </div>
+                                </td>
+                            </tr>
+                            {entry == version ? versionDiff(version) : null}
+                        </tbody>
+                    ))
+                }
+            </table>
+        </div>
+    );
+}
@@ -1,19 +1,28 @@
 import { useEffect, useState } from "react";
-import { subscribeConnectionState } from '../services/socket';
+import { subscribeConnectionState, subscribeLatency } from '../services/socket';
 
 /**
- * Connection Dot Icon
+ * Connection Dot Icon, with the round trip time while connected
  */
 export default function ConnectionStatus() {
     const [connectedState, setConnectedState] = useState("Disconnected");
 
+    const [latency       , setLatency       ] = useState(null);
+
     useEffect(() => {
         return subscribeConnectionState(setConnectedState);
     }, []);
 
+    useEffect(() => {
+        return subscribeLatency(setLatency);
+    }, []);
+
+    const showLatency = connectedState == "Connected" && latency != null;
+
     return (
-        <span title ={connectedState} style={{ fontSize: "12px", color: connectedState == "Connected" ? "#07ff07" : connectedState == "Connecting..." ? "#FFEB3B" : "#ff0000" }}>
+        <span title ={showLatency ? `${connectedState} - ${latency}ms` : connectedState} style={{ fontSize: "12px", color: connectedState == "Connected" ? "#07ff07" : connectedState == "Connecting..." ? "#FFEB3B" : "#ff0000" }}>
             ●
+            {showLatency ? <span style={{ fontSize: "9px", color: latency < 150 ? "#07ff07" : latency < 500 ? "#FFEB3B" : "#ff0000" }}>{`${latency}ms`}</span> : ""}
         </span>
     );
-};
\ No newline at end of file
+};
@@ -1,13 +1,148 @@
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import ConnectionStatus from "./ConnectionStatus";
 import { FaCopy } from "react-icons/fa";
 import { FaEraser } from "react-icons/fa";
 import { FaDownload } from "react-icons/fa";
 import { FaWindowMinimize } from "react-icons/fa";
 import { FaWindowMaximize } from "react-icons/fa";
-import { subscribe, subscribeConnectionState, request } from "../services/socket";
+import { FaPause } from "react-icons/fa";
+import { FaPlay } from "react-icons/fa";
+import { FaExclamationCircle } from "react-icons/fa";
+import { request } from "../services/socket";
+import { useSubscription, useConnectionState } from "../services/hooks";
 import '../css/ConsoleLog.css';
 
+/**
+ * Lines kept, the oldest are dropped past this
+ */
+const MAX_LOG_LINES = 50000;
+
+/**
+ * px height used for lines that haven't been measured yet
+ */
+const DEFAULT_LINE_HEIGHT = 18;
+
+/**
+ * px of lines rendered above and below the window
+ */
+const OVERSCAN = 400;
+
+/**
+ * px from the bottom that still counts as following the newest line
+ */
+const FOLLOW_DISTANCE = 30;
+
+/**
+ * @type {import('../services/socket.js').LogLevel[]}
+ */
+const LOG_LEVELS = ["info", "warn", "error", "debug"];
+
+/**
+ * Search box text as a pattern.
+ * 
+ * @param {string} search 
+ * @param {boolean} useRegex search is a regular expression, otherwise plain text
+ * @returns {{regex: RegExp | null, error?: string}} `null` regex when there is nothing to search for
+ */
+function searchPattern(search, useRegex) {
+    if (search == "") {
+        return { regex: null };
+    }
+
+    try {
+        return { regex: new RegExp(useRegex ? search : search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi") };
+    } catch (error) {
+        return { regex: null, error: error.message };
+    }
+};
+
+/**
+ * Splits text so the search matches can be marked.
+ * 
+ * @param {string} text 
+ * @param {RegExp} regex global pattern
+ */
+function highlight(text, regex) {
+    const parts = [];
+
+    let last = 0;
+
+    for (const match of text.matchAll(regex)) {
+        if (match[0].length == 0) {
+            continue;
+        }
+
+        parts.push(text.slice(last, match.index));
+
+        parts.push(<mark key={match.index} className="log-match">{match[0]}</mark>);
+
+        last = match.index + match[0].length;
+    }
+
+    parts.push(text.slice(last));
+
+    return parts;
+};
+
+/**
+ * Console line from a `log` message.
+ * 
+ * @param {{id: number, payload: import('../services/socket.js').RequestMap["log"]["response"]["payload"]}} log 
+ */
+function toLine(log) {
+    return {
+        key: `${log.payload.boot}-${log.id}`,
+        id: log.id,
+        boot: log.payload.boot || 0,
+        text: log.payload.text,
+        html: log.payload.html,
+        level: log.payload.level || "info",
+        timestamp: log.payload.timestamp,
+        source: log.payload.source
+    };
+};
+
+/**
+ * Index of the line at a scroll position.
+ * 
+ * @param {number[]} offsets top of each line, plus the total height at the end
+ * @param {number} top 
+ */
+function lineAt(offsets, top) {
+    let low = 0;
+
+    let high = offsets.length - 2;
+
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+
+        if (offsets[mid] <= top) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return Math.max(low, 0);
+};
+
+/**
+ * Line at the top of the window and how far into it the window is scrolled.
+ * 
+ * @param {HTMLElement} container 
+ * @param {ReturnType<typeof toLine>[]} lines shown lines
+ * @param {number[]} offsets 
+ */
+function anchorAt(container, lines, offsets) {
+    if (lines.length == 0) {
+        return undefined;
+    }
+
+    const index = lineAt(offsets, container.scrollTop);
+
+    return { key: lines[index].key, delta: container.scrollTop - offsets[index] };
+};
+
 /**
  * Server Console Log Window
  * 
@@ -15,78 +150,435 @@ import '../css/ConsoleLog.css';
  * @returns 
  */
 export default function ConsoleLog({ isMobile, isMinimize, setIsMinimize }) {
-    const [htmlLogs, setHtmlLogs] = useState([]);
+    const [search  , setSearch  ] = useState("");
 
-    const [textLogs, setTextLogs] = useState([]);
+    const [useRegex, setUseRegex] = useState(false);
 
-    const [connectedState, setConnectedState] = useState("Disconnected");
+    const [levels  , setLevels  ] = useState({ info: true, warn: true, error: true, debug: true });
 
-    const idRef = useRef(0);
+    const [paused  , setPaused  ] = useState(false);
+    /**
+     * Error line last jumped to
+     */
+    const [focusId , setFocusId ] = useState();
+    /**
+     * Number of lines kept, the lines themselves live in `linesRef`
+     */
+    const [lineCount, setLineCount] = useState(0);
+    /**
+     * Lines that pass the filters, extended as lines come in
+     * 
+     * @type {[ReturnType<typeof toLine>[], (any)=> void]}
+     */
+    const [shownLogs, setShownLogs] = useState([]);
+    /**
+     * Scroll position and height of the log window
+     */
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+    /**
+     * Average line height, replaced whenever measuring changes the layout
+     */
+    const [measured, setMeasured] = useState({ average: DEFAULT_LINE_HEIGHT });
 
-    useEffect(() => {
-        const subLog = subscribe("log", (data) => {
-            if (textLogs.length < 2000) {
-                setTextLogs((prev) => [...prev, data.payload.text]);
+    const connectedState = useConnectionState();
+    /**
+     * Every line kept, in server order
+     * 
+     * @type {{current: ReturnType<typeof toLine>[]}}
+     */
+    const linesRef = useRef([]);
+
+    const keysRef = useRef(new Set());
+    /**
+     * Newest log received, kept through clears so history doesn't bring cleared lines back
+     * 
+     * @type {{current: {boot: number, id: number} | undefined}}
+     */
+    const lastRef = useRef();
+    /**
+     * `log` messages waiting for the next animation frame
+     */
+    const pendingRef = useRef([]);
+
+    const frameRef = useRef(null);
+    /**
+     * Rendered height of each line by key, unmeasured lines use the average
+     * 
+     * @type {{current: Map<string, number>}}
+     */
+    const heightsRef = useRef(new Map());
+
+    const averageRef = useRef({ total: 0, count: 0 });
+    /**
+     * Keeps the window glued to the newest line
+     */
+    const followRef = useRef(true);
+    /**
+     * Line at the top of the window and how far into it the window is scrolled,
+     * so the view stays put when lines above it change
+     * 
+     * @type {{current: {key: string, delta: number} | undefined}}
+     */
+    const anchorRef = useRef();
+
+    const containerRef = useRef(null);
+
+    const widthRef = useRef(0);
+    /**
+     * Current filter for lines added between renders
+     * 
+     * @type {{current: (log: ReturnType<typeof toLine>) => boolean}}
+     */
+    const matchesRef = useRef(() => true);
+
+    /**
+     * Adds log messages in server order, skipping ones already shown.
+     * 
+     * Only touches refs and state setters, so it stays the same between renders.
+     * 
+     * @param {{id: number, payload: import('../services/socket.js').RequestMap["log"]["response"]["payload"]}[]} incoming 
+     */
+    const addLogs = useCallback((incoming) => {
+        const lines = linesRef.current;
+
+        const keys = keysRef.current;
+
+        var added = 0;
+
+        var unordered = false;
+
+        for (const log of incoming) {
+            const line = toLine(log);
+
+            const last = lastRef.current;
+
+            if (last == undefined || line.boot > last.boot || (line.boot == last.boot && line.id > last.id)) {
+                lastRef.current = { boot: line.boot, id: line.id };
             }
 
-            if (htmlLogs.length < 2000) {
-                setHtmlLogs((prev) => [
-                    ...prev,
-                    {
-                        id: idRef.current++,
-                        html: data.payload.html,
-                    }
-                ]);
+            if (keys.has(line.key)) {
+                continue;
             }
-        });
 
-        return () => {
-            if (connectedState == "Connected") {
-                subLog();
+            const prev = lines[lines.length - 1];
+
+            if (prev != undefined && (line.boot < prev.boot || (line.boot == prev.boot && line.id < prev.id))) {
+                unordered = true;
+            }
+
+            keys.add(line.key);
+
+            lines.push(line);
+
+            added++;
+        }
+
+        if (added == 0) {
+            return;
+        }
+        // history can land after newer live lines
+        if (unordered) {
+            lines.sort((a, b) => a.boot - b.boot || a.id - b.id);
+        }
+        // keep the newest lines
+        if (lines.length > MAX_LOG_LINES) {
+            for (const line of lines.splice(0, lines.length - MAX_LOG_LINES)) {
+                keys.delete(line.key);
+
+                const height = heightsRef.current.get(line.key);
+
+                if (height != undefined) {
+                    averageRef.current.total -= height;
+
+                    averageRef.current.count--;
+
+                    heightsRef.current.delete(line.key);
+                }
             }
-        };
+        }
+
+        if (unordered) {
+            setShownLogs(lines.filter(matchesRef.current));
+        } else {
+            // only the new lines need filtering, dropped ones are always the oldest
+            const matched = lines.slice(-Math.min(added, lines.length)).filter(matchesRef.current);
+
+            setShownLogs((prev) => {
+                var dropped = 0;
+
+                while (dropped < prev.length && !keys.has(prev[dropped].key)) {
+                    dropped++;
+                }
+
+                return dropped == 0 && matched.length == 0 ? prev : prev.slice(dropped).concat(matched);
+            });
+        }
+
+        setLineCount(lines.length);
     }, []);
 
+    function flushPending() {
+        frameRef.current = null;
+
+        const pending = pendingRef.current;
+
+        pendingRef.current = [];
+
+        addLogs(pending);
+    };
+    // one render per frame however fast lines come in
+    useSubscription("log", (data) => {
+        pendingRef.current.push(data);
+        // hidden tabs don't get frames, only hold what could be shown
+        if (pendingRef.current.length > MAX_LOG_LINES) {
+            pendingRef.current.splice(0, pendingRef.current.length - MAX_LOG_LINES);
+        }
+
+        if (frameRef.current == null) {
+            frameRef.current = requestAnimationFrame(flushPending);
+        }
+    });
+
+    useEffect(() => () => {
+        if (frameRef.current != null) {
+            cancelAnimationFrame(frameRef.current);
+        }
+    }, []);
+    // catch up on what was logged before this page opened or while disconnected
     useEffect(() => {
-        return subscribeConnectionState(setConnectedState);
-    }, [])
+        if (connectedState != "Connected") {
+            return;
+        }
 
-    const containerRef = useRef(null);
+        const last = lastRef.current;
 
-    const messagesEndRef = useRef(null);
+        request("getLogHistory", last == undefined ? {} : { since: last.id, boot: last.boot })
+            .then((res) => {
+                if (res.type == "getLogHistory") {
+                    addLogs(res.payload.logs);
+                } else {
+                    console.error(res.payload.message);
+                }
+            })
+            .catch((error) => console.error(error));
+    }, [connectedState, addLogs]);
 
-    const scrollToBottomIfNeeded = () => {
-        if (!containerRef.current) return;
+    const pattern = useMemo(() => searchPattern(search, useRegex), [search, useRegex]);
 
-        const { scrollTop, scrollHeight, clientHeight } = containerRef.current;
+    const matches = useMemo(() => (log) => levels[log.level] != false &&
+        (pattern.regex == null || log.text.search(pattern.regex) != -1), [pattern, levels]);
+    // new filters go over every kept line once, before the old list is painted
+    useLayoutEffect(() => {
+        matchesRef.current = matches;
 
-        const isNearBottom = scrollHeight - scrollTop - clientHeight < 150;
+        setShownLogs(linesRef.current.filter(matches));
+    }, [matches]);
 
-        if (isNearBottom) {
-            messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    const errorCount = useMemo(() => shownLogs.filter(log => log.level == "error").length, [shownLogs]);
+
+    /**
+     * Top of each shown line, plus the total height at the end.
+     * 
+     * Scrolling doesn't change it, only new lines or new measurements.
+     */
+    const offsets = useMemo(() => {
+        const heights = heightsRef.current;
+
+        const average = measured.average;
+
+        const offsets = new Array(shownLogs.length + 1);
+
+        offsets[0] = 0;
+
+        for (let i = 0; i < shownLogs.length; i++) {
+            offsets[i + 1] = offsets[i] + (heights.get(shownLogs[i].key) ?? average);
         }
+
+        return offsets;
+    }, [shownLogs, measured]);
+
+    const totalHeight = offsets[shownLogs.length];
+
+    const start = shownLogs.length == 0 ? 0 : lineAt(offsets, viewport.top - OVERSCAN);
+
+    const end = shownLogs.length == 0 ? 0 : lineAt(offsets, viewport.top + viewport.height + OVERSCAN) + 1;
+
+    function handleScroll() {
+        const container = containerRef.current;
+
+        if (!container) return;
+
+        const { scrollTop, scrollHeight, clientHeight } = container;
+
+        followRef.current = scrollHeight - scrollTop - clientHeight < FOLLOW_DISTANCE;
+
+        anchorRef.current = anchorAt(container, shownLogs, offsets);
+
+        setViewport({ top: scrollTop, height: clientHeight });
     };
+    // measure the rendered lines, then follow the newest line or hold the anchored one in place,
+    // only when the rendered lines or their layout changed
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+
+        if (!container || isMinimize) return;
+
+        var changed = false;
+
+        for (const el of container.querySelectorAll("[data-key]")) {
+            const key = el.dataset.key;
+
+            const height = el.offsetHeight;
+
+            const known = heightsRef.current.get(key);
+
+            if (known != height) {
+                if (known == undefined) {
+                    averageRef.current.count++;
+
+                    averageRef.current.total += height;
+                } else {
+                    averageRef.current.total += height - known;
+                }
+
+                heightsRef.current.set(key, height);
+
+                changed = true;
+            }
+        }
+        // spacers are off until the next render
+        if (changed) {
+            setMeasured({ average: averageRef.current.total / averageRef.current.count });
+
+            return;
+        }
 
+        if (followRef.current && !paused) {
+            container.scrollTop = container.scrollHeight;
+        } else if (anchorRef.current != undefined) {
+            const index = shownLogs.findIndex(log => log.key == anchorRef.current?.key);
+
+            if (index != -1) {
+                container.scrollTop = offsets[index] + anchorRef.current.delta;
+            }
+        }
+
+        anchorRef.current = anchorAt(container, shownLogs, offsets);
+
+        const { scrollTop, clientHeight } = container;
+
+        setViewport((prev) => prev.top == scrollTop && prev.height == clientHeight ? prev : { top: scrollTop, height: clientHeight });
+    }, [shownLogs, offsets, start, end, paused, isMinimize]);
+    // wrapping changes with the width, so every height has to be measured again
     useEffect(() => {
-        scrollToBottomIfNeeded();
-    }, [htmlLogs]);
+        const container = containerRef.current;
+
+        if (!container || typeof ResizeObserver == "undefined") return;
+
+        const observer = new ResizeObserver(() => {
+            if (container.clientWidth != widthRef.current) {
+                widthRef.current = container.clientWidth;
+
+                heightsRef.current.clear();
+
+                averageRef.current = { total: 0, count: 0 };
+
+                setMeasured({ average: DEFAULT_LINE_HEIGHT });
+            }
+
+            setViewport({ top: container.scrollTop, height: container.clientHeight });
+        });
+
+        observer.observe(container);
+
+        return () => observer.disconnect();
+    }, [isMinimize]);
+
+    function togglePause() {
+        if (paused) {
+            setFocusId();
+
+            followRef.current = true;
+        }
+
+        setPaused(!paused);
+    };
+
+    /**
+     * @param {import('../services/socket.js').LogLevel} level 
+     */
+    function toggleLevel(level) {
+        setLevels((prev) => ({ ...prev, [level]: !prev[level] }));
+    };
+
+    /**
+     * Scrolls to the first shown error below the top of the log, back to the first one after the last.
+     * 
+     * Pauses auto scroll so the error stays in view.
+     */
+    function jumpToNextError() {
+        const container = containerRef.current;
+
+        if (!container || errorCount == 0) return;
+
+        const isError = (log) => log.level == "error";
+
+        var index = shownLogs.findIndex((log, i) => isError(log) && offsets[i] > container.scrollTop + 1);
+
+        if (index == -1) {
+            index = shownLogs.findIndex(isError);
+        }
+
+        setPaused(true);
+
+        followRef.current = false;
+
+        setFocusId(shownLogs[index].key);
+
+        anchorRef.current = { key: shownLogs[index].key, delta: 0 };
+
+        container.scrollTop = offsets[index];
+    };
 
     function clearLogs() {
-        setHtmlLogs([]);
+        linesRef.current = [];
+
+        keysRef.current.clear();
+
+        heightsRef.current.clear();
+
+        averageRef.current = { total: 0, count: 0 };
+
+        anchorRef.current = undefined;
+
+        followRef.current = true;
+
+        setFocusId();
+
+        setShownLogs([]);
+
+        setLineCount(0);
+
+        setMeasured({ average: DEFAULT_LINE_HEIGHT });
     };
 
+    /**
+     * Copies the lines that pass the filters
+     */
     async function copyToClipboard() {
+        const text = shownLogs.map(log => log.text).join('\n');
+
         if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
             try {
-                await navigator.clipboard.writeText(textLogs.join('\n'));
+                await navigator.clipboard.writeText(text);
 
                 alert('Copied log to clipboard!');
             } catch (err) {
                 // Fallback if permission is denied or other error
-                fallbackCopyToClipboard(textLogs.join('\n'));
+                fallbackCopyToClipboard(text);
             }
         } else {
-            fallbackCopyToClipboard(textLogs.join('\n'));
+            fallbackCopyToClipboard(text);
         }
     };
 
@@ -127,27 +619,31 @@ export default function ConsoleLog({ isMobile, isMinimize, setIsMinimize }) {
     };
 
     async function downloadLog() {
-        const res = await request("downloadLog");
+        try {
+            const res = await request("downloadLog");
 
-        if (res.type != "error") {
-            // text content
-            const texts = res.payload.text;
-            // file object
-            const file = new Blob([texts], { type: 'text/plain' });
-            // anchor link
-            const element = document.createElement("a");
+            if (res.type != "error") {
+                // text content
+                const texts = res.payload.text;
+                // file object
+                const file = new Blob([texts], { type: 'text/plain' });
+                // anchor link
+                const element = document.createElement("a");
 
-            element.href = URL.createObjectURL(file);
+                element.href = URL.createObjectURL(file);
 
-            element.download = res.payload.name;
-            // simulate link click (Required for this to work in FireFox)
-            document.body.appendChild(element);
+                element.download = res.payload.name;
+                // simulate link click (Required for this to work in FireFox)
+                document.body.appendChild(element);
 
-            element.click();
+                element.click();
 
-            document.body.removeChild(element);
-        } else {
-            console.error(res.payload.message);
+                document.body.removeChild(element);
+            } else {
+                console.error(res.payload.message);
+            }
+        } catch (error) {
+            console.error(error);
         }
     }
 
@@ -159,14 +655,14 @@ export default function ConsoleLog({ isMobile, isMinimize, setIsMinimize }) {
                         <ConnectionStatus />
                     </sup>
                     Live Console Log
-                    {textLogs.length == 2000 ? <span title="Log is full, reload window!" style={{ color: "#ff0000" }}>!</span> : ""}
+                    {lineCount == MAX_LOG_LINES ? <span title={`Showing the newest ${MAX_LOG_LINES} lines, older lines are dropped.`} style={{ color: "#ff0000" }}>!</span> : ""}
                     {isMobile ? "" : connectedState != "Connected" ? ` - ${connectedState}` : ""}
                 </span>
                 <span className="log-icon-holder">
                     {isMinimize == true ? "" :
                         <>
                             <FaDownload title="Download Current Server Log File" className="clicky svgIcon" onClick={downloadLog} />&nbsp;
-                            <FaCopy title="Copy Log" className="clicky svgIcon" onClick={copyToClipboard} />&nbsp;
+                            <FaCopy title="Copy Shown Log Lines" className="clicky svgIcon" onClick={copyToClipboard} />&nbsp;
                             <FaEraser title="Clear Log" className="clicky svgIcon" onClick={clearLogs} />&nbsp;
                         </>
                     }
@@ -185,17 +681,73 @@ export default function ConsoleLog({ isMobile, isMinimize, setIsMinimize }) {
                     }
                 </span>
             </h2>
-            <div className={isMinimize ? "log-container-hide" : "log-container"} ref={containerRef}>
+            {isMinimize ? "" :
+                <div className="log-toolbar">
+                    <input
+                        type="search"
+                        className={`log-search${pattern.error ? " log-search-bad" : ""}`}
+                        title={pattern.error || (useRegex ? "Search with a regular expression" : "Search log")}
+                        placeholder={useRegex ? "Regex" : "Search"}
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                    <span
+                        title="Search with a regular expression"
+                        className={`log-toggle clicky${useRegex ? "" : " log-toggle-off"}`}
+                        onClick={() => setUseRegex((prevValue) => !prevValue)}
+                    >
+                        .*
+                    </span>
+                    {LOG_LEVELS.map(level => (
+                        <span
+                            key={level}
+                            title={`${levels[level] ? "Hide" : "Show"} ${level} lines`}
+                            className={`log-toggle clicky log-toggle-${level}${levels[level] ? "" : " log-toggle-off"}`}
+                            onClick={() => toggleLevel(level)}
+                        >
+                            {level}
+                        </span>
+                    ))}
+                    <span className="log-toolbar-icons">
+                        <span className="log-count" title="Lines shown">{`${shownLogs.length}/${lineCount}`}</span>
+                        {paused ?
+                            <FaPlay title="Resume Auto Scroll" className="clicky svgIcon" onClick={togglePause} />
+                            :
+                            <FaPause title="Pause Auto Scroll" className="clicky svgIcon" onClick={togglePause} />
+                        }
+                        &nbsp;
+                        <FaExclamationCircle
+                            title={errorCount == 0 ? "No errors shown" : `Jump To Next Error (${errorCount})`}
+                            className={`svgIcon ${errorCount == 0 ? "log-icon-off" : "clicky"}`}
+                            onClick={jumpToNextError}
+                        />
+                    </span>
+                </div>
+            }
+            <div className={isMinimize ? "log-container-hide" : "log-container"} ref={containerRef} onScroll={handleScroll}>
                 {isMinimize ? "" :
                     <>
-                        {htmlLogs.map((log) => (
-                            <div
-                                key={log.id}
-                                className="log-line"
-                                dangerouslySetInnerHTML={{ __html: log.html }}
-                            />
+                        <div style={{ height: offsets[start] }} />
+                        {shownLogs.slice(start, end).map((log) => (
+                            pattern.regex == null ?
+                                <div
+                                    key={log.key}
+                                    data-key={log.key}
+                                    className={`log-line log-${log.level}${focusId == log.key ? " log-focus" : ""}`}
+                                    title={[log.timestamp && new Date(log.timestamp).toLocaleString(), log.source].filter(Boolean).join(" - ")}
+                                    dangerouslySetInnerHTML={{ __html: log.html }}
+                                />
+                                :
+                                <div
+                                    key={log.key}
+                                    data-key={log.key}
+                                    className={`log-line log-${log.level}${focusId == log.key ? " log-focus" : ""}`}
+                                    title={[log.timestamp && new Date(log.timestamp).toLocaleString(), log.source].filter(Boolean).join(" - ")}
+                                >
+                                    {highlight(log.text, pattern.regex)}
+                                </div>
                         ))}
-                        <div ref={messagesEndRef} />
+                        <div style={{ height: totalHeight - offsets[end] }} />
                     </>
                 }
             </div>
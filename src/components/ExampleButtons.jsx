@@ -1,5 +1,6 @@
-import { useEffect, useRef, useState } from "react";
-import { subscribe, request } from "../services/socket.js";
+import { useState } from "react";
+import { request } from "../services/socket.js";
+import { useJob } from "../services/hooks.js";
 
 /**
  * Button Examples
@@ -7,40 +8,15 @@ import { subscribe, request } from "../services/socket.js";
  * @param {{connected: boolean, setNeedsRestart: (value: SetStateAction<boolean>) => void}} param0 
  */
 export default function ExampleButtons({ connected, setNeedsRestart }) {
-    const [progress, setProgress] = useState("");
-
-    const [status, setStatus] = useState("");
+    const [jobStart, setJobStart] = useState();
 
     const [time, setTime] = useState("");
 
-    const jobs = useRef(new Map());
-
-    useEffect(() => {
-        const unsubProgress = subscribe("jobProgress", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
-
-            if (job) {
-                // pass off happens here
-                job.onProgress(data);
-            };
-        });
+    const job = useJob(jobStart?.jobId, { initial: jobStart });
 
-        const unsubComplete = subscribe("jobComplete", (data) => {
-            const job = jobs.current.get(data.payload && data.payload.jobId);
+    const progress = job == undefined || job.progress == 0 ? "" : job.progress;
 
-            if (job) {
-                // pass off happens here
-                job.onComplete(data);
-            };
-        });
-
-        return () => {
-            if (connected) {
-                unsubProgress();
-                unsubComplete();
-            }
-        };
-    }, []);
+    const status = job == undefined ? "" : job.status;
 
     // multi-reponse test
     async function startBigProcess() {
@@ -52,27 +28,9 @@ export default function ExampleButtons({ connected, setNeedsRestart }) {
 
                 return;
             } else {
-                const jobId = res.payload.jobId;
-
-                setStatus(res.payload.status);
+                setJobStart(res.payload);
 
                 setNeedsRestart(true);
-
-                jobs.current.set(jobId, {
-                    // processing happens here
-                    onProgress: (data) => {
-                        setProgress(data.payload.progress);
-
-                        setStatus(data.payload.status);
-                    },
-                    onComplete: (data) => {
-                        setProgress(data.payload.success ? 100 : 0);
-
-                        setStatus(data.payload.status);
-
-                        jobs.current.delete(jobId);
-                    }
-                });
             }            
         } catch (error) {
             console.error(error);
@@ -80,17 +38,25 @@ export default function ExampleButtons({ connected, setNeedsRestart }) {
     }
     // single reponse test
     async function getTime() {
-        const res = await request("timeRequest");
+        try {
+            const res = await request("timeRequest");
 
-        if (res.type == "timeRequest") {
-            setTime(res.payload.time);
-        } else {
-            console.error(res.payload.message);
+            if (res.type == "timeRequest") {
+                setTime(res.payload.time);
+            } else {
+                console.error(res.payload.message);
+            }
+        } catch (error) {
+            console.error(error);
         }
     };
     // single reponse test
     async function getTest() {
-        return await request("test");
+        try {
+            return await request("test");
+        } catch (error) {
+            console.error(error);
+        }
     };
 
     return (
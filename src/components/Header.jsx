@@ -2,7 +2,8 @@ import react from "react";
 import ConnectionStatus from'./ConnectionStatus';
 import { FaPowerOff } from "react-icons/fa";
 import { FaUndoAlt } from "react-icons/fa";
-import { request } from "../services/socket";
+import { FaSignOutAlt } from "react-icons/fa";
+import { request, logout, getUsername, can } from "../services/socket";
 import '../css/Header.css';
 
 /**
@@ -13,32 +14,46 @@ import '../css/Header.css';
 export default function Header({ isMobile, onMenuClick, setNeedsRestart, needsRestart}) {
     async function serverRestart() {
         if (confirm("Are you sure you want to restart the server?")) {
-            const res = await request("restartServer");
+            try {
+                const res = await request("restartServer");
 
-            if(res.type == "restartServer" && res.payload.success == true){
-                alert("Server restarting...");
+                if(res.type == "restartServer" && res.payload.success == true){
+                    alert("Server restarting...");
 
-                setNeedsRestart(false);
-            } else {
-                alert("Issue restarting server!");
+                    setNeedsRestart(false);
+                } else {
+                    alert("Issue restarting server!");
+                }
+            } catch (error) {
+                alert(`Issue restarting server! ${error.message}`);
             }
         }
     }
 
     async function serverShutdown() {
         if (confirm("Are you sure you want to shutdown the server?")) {
-            const res = await request("shutdownServer");
+            try {
+                const res = await request("shutdownServer");
 
-            if(res.type == "shutdownServer" && res.payload.success == true){
-                alert("Server shutting down...");
+                if(res.type == "shutdownServer" && res.payload.success == true){
+                    alert("Server shutting down...");
 
-                setNeedsRestart(false);
-            } else {
-                alert("Issue shutting down server!");
+                    setNeedsRestart(false);
+                } else {
+                    alert("Issue shutting down server!");
+                }
+            } catch (error) {
+                alert(`Issue shutting down server! ${error.message}`);
             }
         }
     }
 
+    async function adminLogout() {
+        if (confirm("Are you sure you want to log out?")) {
+            await logout();
+        }
+    }
+
     return (
         <header className="header-header">
             <div className="header-left-header">
@@ -53,9 +68,19 @@ export default function Header({ isMobile, onMenuClick, setNeedsRestart, needsRe
             </div>
             <div title="Opera Omnia Admin Panel" className="header-banner-image"></div>
             <div className="header-header-right">
-                <FaUndoAlt title={needsRestart? "Changes made!\nRestart needed!": "Restart Server"} className={needsRestart ? "needs-restart" : "clicky"} onClick={serverRestart}/>
-                <span>{" "}</span>
-                <FaPowerOff title="Shutdown Server" className="clicky" onClick={serverShutdown}/>
+                {!can("restartServer") ? "" :
+                    <>
+                        <FaUndoAlt title={needsRestart? "Changes made!\nRestart needed!": "Restart Server"} className={needsRestart ? "needs-restart" : "clicky"} onClick={serverRestart}/>
+                        <span>{" "}</span>
+                    </>
+                }
+                {!can("shutdownServer") ? "" :
+                    <>
+                        <FaPowerOff title="Shutdown Server" className="clicky" onClick={serverShutdown}/>
+                        <span>{" "}</span>
+                    </>
+                }
+                <FaSignOutAlt title={`Log out ${getUsername() || ""}`} className="clicky" onClick={adminLogout}/>
             </div>
         </header>
     );
@@ -0,0 +1,135 @@
+import { useEffect, useRef, useState } from "react";
+import { request, RequestError } from "../services/socket";
+import { useSubscription } from "../services/hooks";
+import '../css/JobLog.css';
+
+/**
+ * Saves a job transcript as a text file.
+ *
+ * @param {number} jobId
+ * @param {string[]} lines
+ */
+function downloadLog(jobId, lines) {
+    // file object
+    const file = new Blob([lines.join("\n") + "\n"], { type: "text/plain" });
+    // anchor link
+    const element = document.createElement("a");
+
+    element.href = URL.createObjectURL(file);
+
+    element.download = `job_${jobId}.log`;
+    // simulate link click (Required for this to work in FireFox)
+    document.body.appendChild(element);
+
+    element.click();
+
+    document.body.removeChild(element);
+};
+
+/**
+ * View and download buttons for a job's log, with the log shown underneath while open.
+ *
+ * The open log follows the job until it finishes.
+ *
+ * @param {{jobId: number | undefined}} param0
+ */
+export default function JobLog({ jobId }) {
+    const [lines       , setLines       ] = useState();
+
+    const [open        , setOpen        ] = useState(false);
+
+    const [errorMessage, setErrorMessage] = useState();
+
+    const logRef = useRef(null);
+
+    /**
+     * @returns {Promise<string[] | undefined>}
+     */
+    async function fetchLog() {
+        try {
+            const res = await request("getJobLog", { jobId: jobId });
+
+            if (res.type == "error") {
+                setErrorMessage(res.payload.message);
+
+                return undefined;
+            }
+
+            setErrorMessage();
+
+            setLines(res.payload.lines);
+
+            return res.payload.lines;
+        } catch (error) {
+            if (error instanceof RequestError) {
+                setErrorMessage(error.message);
+            }
+
+            console.error(error);
+
+            return undefined;
+        }
+    };
+
+    async function toggleView() {
+        if (!open) {
+            await fetchLog();
+        }
+
+        setOpen(!open);
+    };
+
+    async function download() {
+        const log = await fetchLog();
+
+        if (log != undefined) {
+            downloadLog(jobId, log);
+        }
+    };
+
+    /**
+     * @param {{payload: {jobId: number}}} data
+     */
+    function refresh(data) {
+        if (open && data.payload.jobId == jobId) {
+            fetchLog();
+        }
+    };
+
+    useSubscription("jobProgress", refresh);
+
+    useSubscription("jobComplete", refresh);
+    // different job, start closed
+    useEffect(() => {
+        setOpen(false);
+
+        setLines();
+
+        setErrorMessage();
+    }, [jobId]);
+    // keep the newest lines in view
+    useEffect(() => {
+        if (logRef.current != null) {
+            logRef.current.scrollTop = logRef.current.scrollHeight;
+        }
+    }, [lines, open]);
+
+    if (jobId == undefined) {
+        return "";
+    }
+
+    return (
+        <div className="job-log">
+            <div className="job-log-actions">
+                <div className="general-btn job-log-btn" title="Show this job's log" onClick={toggleView}>{open ? "Hide log" : "View log"}</div>
+                <div className="general-btn job-log-btn" title="Download this job's log" onClick={download}>Download log</div>
+            </div>
+            {errorMessage == undefined ? "" :
+                <div className="color-red job-log-error">{errorMessage}</div>
+            }
+            {!open || lines == undefined ? "" :
+                <pre ref={logRef} className="job-log-lines">{lines.length == 0 ? "Nothing logged yet." : lines.join("\n")}</pre>
+            }
+        </div>
+    );
+};
@@ -2,6 +2,7 @@ import { useEffect, useState } from "react";
 import ConsoleLog from "./ConsoleLog";
 import Header from './Header';
 import Sidebar from './Sidebar';
+import VersionBanner from './VersionBanner';
 import'../css/Layout.css';
 
 /**
@@ -32,12 +33,15 @@ export default function Layout({ children, setNeedsRestart, needsRestart }) {
         if (!isMobile) setMenuOpen(false);
     }, [isMobile]);
 
+    // request is the message the page can't work without, pages are hidden if the role can't send it
     const pages = [
         { id: "home",     label: "Home" },
-        { id: "settings", label: "Settings" },
+        { id: "settings", label: "Settings", request: "getEnvValues" },
         { id: "assets",   label: "Assets" },
         { id: "patches",  label: "Patches" },
-        { id: "players",  label: "Players" }
+        { id: "players",  label: "Players" },
+        { id: "jobs",     label: "Jobs", request: "listJobs" },
+        { id: "audit",    label: "Audit", request: "getAuditLog" }
     ];
 
     return (
@@ -76,6 +80,7 @@ export default function Layout({ children, setNeedsRestart, needsRestart }) {
                             {marginLeft: "13rem"}
                         }
                         className="layout-content">
+                        <VersionBanner />
                         {children}
                     </main>
                 </div>
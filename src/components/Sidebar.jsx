@@ -1,11 +1,12 @@
 import { useEffect } from "react";
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import { can, getRole } from "../services/socket";
 import '../css/Sidebar.css';
 
 /**
  * Side Bar
  * 
- * @param {{pages: {id: string, label:string}[], active: string, setActive: (value: SetStateAction<string>) => void, isMobile: boolean, open: boolean, isMinimize: boolean}} param0 
+ * @param {{pages: {id: string, label:string, request?: import('../services/socket.js.d.ts').typeMsgRequests}[], active: string, setActive: (value: SetStateAction<string>) => void, isMobile: boolean, open: boolean, isMinimize: boolean}} param0 
  */
 export default function Sidebar({ pages, active, setActive, isMobile, open, isMinimize }) {
     const location = useLocation();
@@ -53,7 +54,7 @@ export default function Sidebar({ pages, active, setActive, isMobile, open, isMi
         >
             <div className="sidebar-menu" onClick={secretClick}>Menu</div>
             <hr />
-            {pages.map(item => (
+            {pages.filter(item => item.request == undefined || can(item.request)).map(item => (
                 <Link
                     key={item.id}
                     onClick={() => setActive(item.id)}
@@ -63,6 +64,7 @@ export default function Sidebar({ pages, active, setActive, isMobile, open, isMi
                     {item.label}
                 </Link>
             ))}
+            <div className="sidebar-role sub-header" title="Your admin role">{getRole() || ""}</div>
         </aside>
     );
 };
\ No newline at end of file
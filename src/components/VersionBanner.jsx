@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { subscribeHandshake, PANEL_VERSION } from '../services/socket';
+
+/**
+ * Banner asking to reload when the cached panel doesn't match the server
+ */
+export default function VersionBanner() {
+    const [handshake, setHandshake] = useState(null);
+
+    useEffect(() => {
+        return subscribeHandshake(setHandshake);
+    }, []);
+
+    if (handshake == null || handshake.compatible) {
+        return "";
+    }
+
+    const versions = handshake.panel_version && handshake.panel_version != PANEL_VERSION ?
+        ` (v${PANEL_VERSION}, server has v${handshake.panel_version})` :
+        "";
+
+    return (
+        <div className="version-banner">
+            <span>{`Admin panel is out of date${versions}, reload to update.`}</span>
+            <button className="version-banner-btn" onClick={() => window.location.reload()}>Reload</button>
+        </div>
+    );
+};
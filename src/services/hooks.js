@@ -0,0 +1,318 @@
+//@ts-check
+import { useState, useEffect, useRef, useCallback, useSyncExternalStore } from "react";
+import { request, subscribe, subscribeConnectionState, connectionState, RequestError } from "./socket.js";
+/**
+ * @typedef {import('./socket.js.d.ts').RequestMap} RequestMap
+ * @typedef {import('./socket.js.d.ts').typeMsgSubscribe} typeMsgSubscribe
+ * @typedef {import('./socket.js.d.ts').typeMsgRequests} typeMsgRequests
+ * @typedef {import('./socket.js.d.ts').Job} Job
+ * @typedef {{jobId: number, task: string, status: string, progress: number, done: boolean, success?: boolean} & Partial<Omit<Job, "jobId" | "task" | "status" | "progress" | "success">>} JobState
+ */
+
+/**
+ * Last known state of each job.
+ *
+ * Filled by one subscription at load so no update is missed between a job
+ * starting and a component rendering with its id.
+ *
+ * @type {Map<number, JobState>}
+ */
+const jobStates = new Map();
+
+const jobListeners = new Set();
+/**
+ * Known jobs newest first, rebuilt on change so `useJobs` gets a stable snapshot
+ *
+ * @type {JobState[]}
+ */
+let jobList = [];
+
+/**
+ * How many job states are kept before the oldest are dropped
+ */
+const MAX_JOB_STATES = 50;
+
+/**
+ * @param {Partial<Job> & {jobId: number}} payload
+ * @param {boolean} done
+ */
+function updateJob(payload, done) {
+    if (payload == undefined || payload.jobId == undefined) {
+        return;
+    }
+
+    const prev = jobStates.get(payload.jobId);
+    /**
+     * @type {JobState}
+     */
+    const next = {
+        ...prev,
+        ...payload,
+        jobId: payload.jobId,
+        task: payload.task ?? prev?.task ?? "",
+        status: payload.status ?? prev?.status ?? "",
+        progress: payload.progress ?? prev?.progress ?? 0,
+        done: done
+    };
+
+    if (done && "success" in payload) {
+        next.success = payload.success;
+
+        if (payload.success) {
+            next.progress = 100;
+        }
+    }
+    // re-insert so the newest job is last
+    jobStates.delete(payload.jobId);
+
+    jobStates.set(payload.jobId, next);
+
+    while (jobStates.size > MAX_JOB_STATES) {
+        jobStates.delete(jobStates.keys().next().value);
+    }
+
+    jobList = [...jobStates.values()].reverse();
+
+    jobListeners.forEach(fn => fn());
+};
+
+/**
+ * Catches up on jobs that ran while this panel was closed or disconnected.
+ */
+async function loadJobs() {
+    try {
+        const res = await request("listJobs", {}, { queue: true });
+
+        if (res.type == "error") {
+            console.error(res.payload.message);
+
+            return;
+        }
+        // oldest first so the newest ends up last
+        [...res.payload.jobs].reverse().forEach(job => updateJob(job, job.finished != undefined));
+    } catch (error) {
+        console.error(error);
+    }
+};
+
+subscribe("jobProgress", (data) => updateJob(data.payload, false));
+
+subscribe("jobComplete", (data) => updateJob(data.payload, true));
+
+subscribeConnectionState((state) => {
+    if (state == "Connected") {
+        loadJobs();
+    }
+});
+
+/**
+ * @param {() => void} listener
+ */
+function subscribeJobs(listener) {
+    jobListeners.add(listener);
+
+    return () => {
+        jobListeners.delete(listener);
+    };
+};
+
+/**
+ * Current connection state, updates on change.
+ *
+ * @example
+ * ```js
+ * const connected = useConnectionState() == "Connected";
+ * ```
+ * @returns {string}
+ */
+export function useConnectionState() {
+    const [state, setState] = useState(connectionState);
+
+    useEffect(() => subscribeConnectionState(setState), []);
+
+    return state;
+};
+
+/**
+ * Makes a request once connected and again after every reconnect.
+ *
+ * Changing the payload makes a new request, the last one in flight is cancelled.
+ *
+ * @example
+ * ```js
+ * const { data: serverDB, loading, error, refetch } = useRequest("getServerDB");
+ *
+ * if (error) {
+ *     return <div className="color-red">{error}</div>;
+ * }
+ * ```
+ * @template {typeMsgRequests} T Request type
+ * @param {T} type command
+ * @param {RequestMap[T]["request"]["payload"]} payload Sending data
+ * @param {{enabled?: boolean}} options `enabled: false` holds the request until it's true
+ * @returns {{
+ *  data: RequestMap[T]["response"]["payload"] | undefined,
+ *  loading: boolean,
+ *  error: string | undefined,
+ *  refetch: () => Promise<RequestMap[T | "error"]["response"] | undefined>,
+ *  setData: (value: any) => void
+ * }}
+ */
+export function useRequest(type, payload = {}, options = {}) {
+    const { enabled = true } = options;
+
+    const connected = useConnectionState() == "Connected";
+
+    const [data   , setData   ] = useState();
+
+    const [loading, setLoading] = useState(false);
+
+    const [error  , setError  ] = useState();
+    /**
+     * @type {import('react').MutableRefObject<AbortController?>}
+     */
+    const controller = useRef(null);
+    // objects are new every render, so compare payloads by content
+    const payloadKey = JSON.stringify(payload);
+
+    const refetch = useCallback(async () => {
+        controller.current?.abort();
+
+        const current = new AbortController();
+
+        controller.current = current;
+
+        setLoading(true);
+
+        try {
+            const res = await request(type, JSON.parse(payloadKey), { signal: current.signal, queue: true });
+
+            if (res.type == "error") {
+                setError(res.payload.message);
+
+                console.error(res.payload.message);
+            } else {
+                setData(res.payload);
+
+                setError();
+            }
+
+            return res;
+        } catch (error) {
+            if (error instanceof RequestError && error.code == "aborted") {
+                return;
+            }
+
+            setError(error.message);
+
+            console.error(error);
+        } finally {
+            if (controller.current == current) {
+                controller.current = null;
+
+                setLoading(false);
+            }
+        }
+    }, [type, payloadKey]);
+
+    useEffect(() => {
+        if (connected && enabled) {
+            refetch();
+        }
+    }, [connected, enabled, refetch]);
+
+    useEffect(() => {
+        return () => controller.current?.abort();
+    }, []);
+
+    return { data, loading, error, refetch, setData };
+};
+
+/**
+ * Calls the handler for every message of a type while mounted.
+ *
+ * The handler can change between renders without resubscribing.
+ *
+ * @example
+ * ```js
+ * useSubscription("log", (data) => {
+ *     setLogs((prev) => [...prev, data.payload.html]);
+ * });
+ * ```
+ * @template {typeMsgSubscribe} T subscribe types
+ * @param {T} type Message type
+ * @param {(data: RequestMap[T]["response"]) => void} handler
+ */
+export function useSubscription(type, handler) {
+    const handlerRef = useRef(handler);
+
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => subscribe(type, (data) => handlerRef.current(data)), [type]);
+};
+
+/**
+ * Every job this panel knows about, newest first.
+ *
+ * Includes jobs started from other tabs and by other admins.
+ *
+ * @example
+ * ```js
+ * const running = useJobs().filter(job => !job.done);
+ * ```
+ * @returns {JobState[]}
+ */
+export function useJobs() {
+    return useSyncExternalStore(subscribeJobs, () => jobList);
+};
+
+/**
+ * Live progress of a job.
+ *
+ * @example
+ * ```js
+ * const [jobStart, setJobStart] = useState();
+ *
+ * const job = useJob(jobStart?.jobId, {
+ *     initial: jobStart,
+ *     onComplete: (job) => job.success && setNeedsRestart(true)
+ * });
+ *
+ * // after starting
+ * setJobStart(res.payload);
+ * ```
+ * @param {number | undefined} jobId Job from the start response, `undefined` for no job
+ * @param {{initial?: Partial<JobState>, onComplete?: (job: JobState) => void}} options `initial` is shown until the first update
+ * @returns {JobState | undefined}
+ */
+export function useJob(jobId, options = {}) {
+    const { initial, onComplete } = options;
+
+    const state = useSyncExternalStore(subscribeJobs, () => jobId == undefined ? undefined : jobStates.get(jobId));
+
+    const onCompleteRef = useRef(onComplete);
+    // latest state for the completion effect, which only reruns when `done` flips
+    const stateRef = useRef(state);
+
+    useEffect(() => {
+        onCompleteRef.current = onComplete;
+
+        stateRef.current = state;
+    });
+
+    const done = state != undefined && state.done;
+
+    useEffect(() => {
+        if (done && stateRef.current != undefined) {
+            onCompleteRef.current?.(stateRef.current);
+        }
+    }, [done, jobId]);
+
+    if (jobId == undefined) {
+        return undefined;
+    }
+
+    return state ?? { task: "", status: "", progress: 0, ...initial, jobId: jobId, done: false };
+};
@@ -10,15 +10,25 @@
  * @typedef {import('http').ServerResponse} ServerResponse
  * @typedef {import('https').Server} HTMLSServer
  * @typedef {ServerResponse & {req: IncomingMessage}} res
- * @typedef {{server?: HTMLServer | HTMLSServer, admin_server?: HTMLServer | HTMLSServer, admin_wss?: WebSocketServer, clients: Set<WebSocket>, sessions?: Map<string, boolean>}} INSTANCE
+ * @typedef {"viewer" | "operator" | "owner"} ROLE
+ * @typedef {{username: string, role: ROLE, ip: string, created: number, expires: number}} SESSION
+ * @typedef {{token: string, username: string, role: ROLE, ip: string}} CLIENT
+ * @typedef {{server?: HTMLServer | HTMLSServer, admin_server?: HTMLServer | HTMLSServer, admin_wss?: WebSocketServer, clients: Set<WebSocket>, client_info: Map<WebSocket, CLIENT>, sessions: Map<string, SESSION>, session_timer?: NodeJS.Timeout, heartbeat_timer?: NodeJS.Timeout, backup_timer?: NodeJS.Timeout}} INSTANCE
  * @typedef {import('./socket.js.d.ts').RequestMap} RequestMap
+ * @typedef {{type: "string" | "number" | "boolean" | "array", optional?: boolean, enum?: any[], pattern?: RegExp, min?: number, max?: number, hint?: string, items?: "string" | "number"}} FIELD_SCHEMA
+ * @typedef {{fields: {[key: string]: FIELD_SCHEMA}, open?: boolean, minFields?: number}} REQUEST_SCHEMA
+ * @typedef {{key: string, value: string, desc: string, label: string, help?: string, group: string, type: "string" | "number" | "boolean", enum?: string[], min?: number, max?: number, pattern?: string, hint?: string, secret?: boolean, restart: boolean}} ENV_FIELD
+ * @typedef {"debug" | "warn" | "error" | "info"} LOG_LEVEL
+ * @typedef {{level: LOG_LEVEL, timestamp: string, source?: string, message: string, context?: {[key: string]: any}}} LOG_RECORD
  */
 
 const { WebSocketServer } = require("ws");
 const http = require('http');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
 
 /**
  * Master function for finding machine IP address.
@@ -49,6 +59,23 @@ const PORT = 9000;
 
 const SERVER_URL = `http://${IP_ADDRESS}:${PORT}/`;
 
+/**
+ * Any ANSI control sequence (colors, cursor moves, line clears), for stripping text
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;:?]*[A-Za-z]/g;
+
+/**
+ * Extra fields for a log record, see ``Logger.fields()``.
+ */
+class LogFields {
+    /**
+     * @param {{[key: string]: any}} context
+     */
+    constructor(context) {
+        this.context = context;
+    };
+};
+
 /**
  * Class Logger. 
  * 
@@ -69,14 +96,70 @@ const SERVER_URL = `http://${IP_ADDRESS}:${PORT}/`;
  * 
  * Use``Logger.log()`` - For dev use only. A console.log() with file and line info. Does NOT write to log.
  * 
- * Only creates log if matching log level is met.
+ * Only creates log if matching log level is met. Change the level with ``Logger.setLevel()``.
+ * 
+ * Each log is also a ``LOG_RECORD`` for the panel. Add fields to it with a last argument of
+ * ``Logger.fields({...})``, e.g. ``Logger.info("Installed.", Logger.fields({ version: "GL" }))``.
+ * 
+ * Written logs go to ``logs/server.log``, which is archived once it passes ``maxSize`` or the day changes.
+ * Only the newest ``maxFiles`` archives are kept.
  */
 class Logger {
     /**
-     * File path to log
+     * File path to log, `null` until ``init()``
      * @type {string?}
      */
-    static logPath = "";
+    static logPath = null;
+
+    /**
+     * Folder the active and archived log files are in
+     */
+    static logDir = "";
+
+    /**
+     * Name of the log file being written to
+     */
+    static ACTIVE_LOG = "server.log";
+
+    /**
+     * Bytes the active file can reach before it's archived
+     */
+    static maxSize = 5 * 1024 * 1024;
+
+    /**
+     * Archived log files kept, the oldest are deleted past this
+     */
+    static maxFiles = 10;
+
+    /**
+     * Day (YYYY-MM-DD) the active file was started
+     */
+    static #fileDate = "";
+
+    static #fileSize = 0;
+
+    static #fileFailed = false;
+
+    /**
+     * How much each level logs, higher logs more
+     */
+    static LEVELS = {
+        info: 0,
+        error: 1,
+        warn: 2,
+        debug: 3
+    };
+
+    /**
+     * Current log level
+     * @type {LOG_LEVEL}
+     */
+    static level = "debug";
+
+    /**
+     * @type {LOG_RECORD?}
+     */
+    static #record = null;
 
     #label = "";
 
@@ -96,17 +179,253 @@ class Logger {
      * Creates logPath
      */
     static init() {
-        this.logPath = "";
+        this.logDir = path.join(DIR_NAME, "logs");
+
+        this.logPath = path.join(this.logDir, this.ACTIVE_LOG);
+
+        this.#fileDate = new Date().toISOString().slice(0, 10);
+
+        this.#fileSize = 0;
+
+        try {
+            fs.mkdirSync(this.logDir, { recursive: true });
+
+            if (fs.existsSync(this.logPath)) {
+                const stats = fs.statSync(this.logPath);
+
+                this.#fileDate = stats.mtime.toISOString().slice(0, 10);
+
+                this.#fileSize = stats.size;
+            }
+        } catch (error) {
+            this.#fileFailed = true;
+
+            console.error(`Couldn't create log folder ${this.logDir}`, error);
+        }
+    };
+
+    /**
+     * Extra fields to add to a log record, pass as the last argument of a log.
+     * 
+     * @param {{[key: string]: any}} context
+     */
+    static fields(context) {
+        return new LogFields(context);
+    };
+
+    /**
+     * Record of the log being written right now.
+     * 
+     * Set while the console is called, `null` when something else called the console.
+     * 
+     * @returns {LOG_RECORD?}
+     */
+    static get record() {
+        return this.#record;
+    };
+
+    /**
+     * File and line that called the log function.
+     * 
+     * @returns {string|undefined}
+     */
+    static #caller() {
+        const err = new Error();
+        // Extract the stack trace information, skipping this and the log function
+        const stackTrace = err.stack ? (err.stack.split('\n')[3] || "").trim() : "";
+        // Updated regular expression to capture file and line information
+        const match = stackTrace.match(/\s*at .+ \((.*)\)/) || stackTrace.match(/\s*at (.*)/);
+        // Extract the file name, line number, and column number
+        return match ? path.basename(match[1]) : undefined;
+    };
+
+    /**
+     * Turns log arguments into text, taking off ``Logger.fields()``.
+     * 
+     * @param {any[]} message
+     * @returns {{message: any[], context: {[key: string]: any}|undefined}}
+     */
+    static #parse(message) {
+        const context = message[message.length - 1] instanceof LogFields ? message.pop().context : undefined;
+
+        for (var key = 0; key < message.length; key++) {
+            const text = message[key];
+
+            if (typeof text == "number" ||
+                typeof text == "boolean"
+            ) {
+                message[key] = `${text}`;
+            } else if (text instanceof Error) {
+                message[key] = text.stack;
+            } else if (typeof text == "object") {
+                message[key] = JSON.stringify(text, null, 4);
+            } else if (text == undefined) {
+                message[key] = `undefined`;
+            }
+        }
+
+        return { message: message, context: context };
+    };
+
+    /**
+     * Moves the active file to a dated archive and deletes the oldest archives past ``maxFiles``.
+     */
+    static rotate() {
+        if (this.logPath == null) {
+            this.init();
+        }
+
+        const logPath = /** @type {string} */ (this.logPath);
+
+        if (fs.existsSync(logPath) && this.#fileSize > 0) {
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+            fs.renameSync(logPath, path.join(this.logDir, `server_${stamp}.log`));
+        }
+
+        this.#fileDate = new Date().toISOString().slice(0, 10);
+
+        this.#fileSize = 0;
+
+        const archives = this.listFiles().filter(file => !file.active);
+
+        for (let i = this.maxFiles; i < archives.length; i++) {
+            fs.unlinkSync(path.join(this.logDir, archives[i].name));
+        }
+    };
+
+    /**
+     * Log files on disk, active file first then archives newest first.
+     * 
+     * @returns {{name: string, size: number, modified: string, active: boolean}[]}
+     */
+    static listFiles() {
+        if (this.logPath == null) {
+            this.init();
+        }
+
+        if (!fs.existsSync(this.logDir)) {
+            return [];
+        }
+
+        const files = fs.readdirSync(this.logDir)
+            .filter(name => name == this.ACTIVE_LOG || /^server_[\w-]+\.log$/.test(name))
+            .map(name => {
+                const stats = fs.statSync(path.join(this.logDir, name));
+
+                return {
+                    name: name,
+                    size: stats.size,
+                    modified: stats.mtime.toISOString(),
+                    active: name == this.ACTIVE_LOG
+                };
+            });
+
+        return files.sort((a, b) => a.active ? -1 : b.active ? 1 : b.name.localeCompare(a.name));
+    };
+
+    /**
+     * Deletes every archived log file.
+     * 
+     * @returns {{deleted: number, bytes: number}} files deleted and bytes freed
+     */
+    static purge() {
+        var deleted = 0;
+
+        var bytes = 0;
+
+        const archives = this.listFiles().filter(file => !file.active);
+
+        for (const file of archives) {
+            try {
+                fs.unlinkSync(path.join(this.logDir, file.name));
+
+                deleted++;
+
+                bytes += file.size;
+            } catch (error) {
+                this.error(`Couldn't delete log file ${file.name}`);
+            }
+        }
+
+        return { deleted: deleted, bytes: bytes };
+    };
+
+    /**
+     * Appends a line to the active log file, rotating it first if needed.
+     * 
+     * @param {string} line
+     */
+    static #toFile(line) {
+        if (this.#fileFailed) {
+            return;
+        }
+
+        const text = line.replace(ANSI_PATTERN, "") + "\n";
+
+        const size = Buffer.byteLength(text);
+
+        try {
+            if (this.#fileDate != new Date().toISOString().slice(0, 10) ||
+                (this.#fileSize > 0 && this.#fileSize + size > this.maxSize)) {
+                this.rotate();
+            }
+
+            fs.appendFileSync(/** @type {string} */ (this.logPath), text);
+
+            this.#fileSize += size;
+        } catch (error) {
+            // only said once, the console still gets every log
+            this.#fileFailed = true;
+
+            console.error(`Couldn't write to log file ${this.logPath}`, error);
+        }
+    };
+
+    /**
+     * Changes the log level, takes effect on the next log.
+     * 
+     * Logs the change at debug under whichever level logs more, so it shows if either level is debug.
+     * 
+     * @param {string} level - debug, warn, error or info
+     */
+    static setLevel(level) {
+        if (!(level in this.LEVELS) || level == this.level) {
+            return;
+        }
+
+        const previous = this.level;
+
+        const message = `Log level changed from ${previous} to ${level}.`;
+
+        if (this.LEVELS[level] < this.LEVELS[previous]) {
+            this.debug(message);
+            // @ts-ignore
+            this.level = level;
+        } else {
+            // @ts-ignore
+            this.level = level;
+
+            this.debug(message);
+        }
     };
 
     /**
      * Writes to log function.
      * 
-     * @param {string} type - log type
+     * Drops the message if the log level is below its type.
+     * 
+     * @param {LOG_LEVEL} type - log type
      * @param {string} level - file and or location
      * @param {string|number|object|boolean|undefined} text - message
+     * @param {string} [source] - file and line that logged
+     * @param {{[key: string]: any}} [context] - extra record fields
      */
-    static write(type, level, text) {
+    static write(type, level, text, source, context) {
+        if (this.LEVELS[type] > this.LEVELS[this.level]) {
+            return;
+        }
+
         if (this.logPath == null) {
             this.init();
         }
@@ -124,21 +443,38 @@ class Logger {
             message = "undefined";
         }
 
-        switch (type) {
-            case "error":
-                console.error(level, message);
+        const timestamp = new Date().toISOString();
+
+        this.#record = {
+            level: type,
+            timestamp: timestamp,
+            source: source,
+            message: String(message).replace(ANSI_PATTERN, ""),
+            context: context
+        };
+
+        try {
+            switch (type) {
+                case "error":
+                    console.error(level, message);
 
-                break;
-            case "warn":
-                console.warn(level, message);
+                    break;
+                case "warn":
+                    console.warn(level, message);
 
-                break;
-            case "log":
-            default:
-                console.log(level, message);
+                    break;
+                case "info":
+                case "debug":
+                default:
+                    console.log(level, message);
 
-                break;
+                    break;
+            }
+        } finally {
+            this.#record = null;
         }
+
+        this.#toFile(`[${timestamp}] ${level} ${message}${context == undefined ? "" : ` ${JSON.stringify(context)}`}`);
     }
 
     /**
@@ -192,23 +528,11 @@ class Logger {
             this.init();
         }
 
-        for (var key = 0; key < message.length; key++) {
-            const text = message[key];
+        const parsed = this.#parse(message);
 
-            if (typeof text == "number" ||
-                typeof text == "boolean"
-            ) {
-                message[key] = `${text}`;
-            } else if (text instanceof Error) {
-                message[key] = text.stack;
-            } else if (typeof text == "object") {
-                message[key] = JSON.stringify(text, null, 4);
-            } else if (text == undefined) {
-                message[key] = `undefined`;
-            }
-        }
+        const source = this.#caller();
 
-        this.write("log", `${C_HEX.cyan}[info]${C_HEX.reset}`, message.join(""));
+        this.write("info", `${C_HEX.cyan}[info]${C_HEX.reset}`, parsed.message.join(""), source, parsed.context);
     };
 
     /**
@@ -223,29 +547,9 @@ class Logger {
             this.init();
         }
 
-        for (var key = 0; key < message.length; key++) {
-            const text = message[key];
-
-            if (typeof text == "number" ||
-                typeof text == "boolean"
-            ) {
-                message[key] = `${text}`;
-            } else if (text instanceof Error) {
-                message[key] = text.stack;
-            } else if (typeof text == "object") {
-                message[key] = JSON.stringify(text, null, 4);
-            } else if (text == undefined) {
-                message[key] = `undefined`;
-            }
-        }
+        const parsed = this.#parse(message);
 
-        const err = new Error();
-        // Extract the stack trace information
-        const stackTrace = err.stack ? err.stack.split('\n')[2].trim() : "";
-        // Updated regular expression to capture file and line information
-        const match = stackTrace.match(/\s*at .+ \((.*)\)/) || stackTrace.match(/\s*at (.*)/);
-        // Extract the file name, line number, and column number
-        const fileName = match ? path.basename(match[1]) : null;
+        const source = this.#caller();
 
         const now = new Date();
 
@@ -257,7 +561,7 @@ class Logger {
 
         hours = hours % 12 || 12;
 
-        this.write("error", `${C_HEX.red}[error][${hours}.${minutes}.${seconds}]${C_HEX.reset} ${fileName ? fileName : ""} -`, message.join(" "));
+        this.write("error", `${C_HEX.red}[error][${hours}.${minutes}.${seconds}]${C_HEX.reset} ${source || ""} -`, parsed.message.join(" "), source, parsed.context);
     };
 
     /**
@@ -272,21 +576,9 @@ class Logger {
             this.init();
         }
 
-        for (var key = 0; key < message.length; key++) {
-            const text = message[key];
+        const parsed = this.#parse(message);
 
-            if (typeof text == "number" ||
-                typeof text == "boolean"
-            ) {
-                message[key] = `${text}`;
-            } else if (text instanceof Error) {
-                message[key] = text.stack;
-            } else if (typeof text == "object") {
-                message[key] = JSON.stringify(text, null, 4);
-            } else if (text == undefined) {
-                message[key] = `undefined`;
-            }
-        }
+        const source = this.#caller();
 
         const now = new Date();
 
@@ -298,7 +590,7 @@ class Logger {
 
         hours = hours % 12 || 12;
 
-        this.write("warn", `${C_HEX.magenta}[warn] [${hours}.${minutes}.${seconds}]${C_HEX.reset}`, message.join(" "));
+        this.write("warn", `${C_HEX.magenta}[warn] [${hours}.${minutes}.${seconds}]${C_HEX.reset}`, parsed.message.join(" "), source, parsed.context);
     };
 
     /**
@@ -313,29 +605,9 @@ class Logger {
             this.init();
         }
 
-        for (var key = 0; key < message.length; key++) {
-            const text = message[key];
-
-            if (typeof text == "number" ||
-                typeof text == "boolean"
-            ) {
-                message[key] = `${text}`;
-            } else if (text instanceof Error) {
-                message[key] = text.stack;
-            } else if (typeof text == "object") {
-                message[key] = JSON.stringify(text, null, 4);
-            } else if (text == undefined) {
-                message[key] = `undefined`;
-            }
-        }
+        const parsed = this.#parse(message);
 
-        const err = new Error();
-        // Extract the stack trace information
-        const stackTrace = err.stack ? err.stack.split('\n')[2].trim() : "";
-        // Updated regular expression to capture file and line information
-        const match = stackTrace.match(/\s*at .+ \((.*)\)/) || stackTrace.match(/\s*at (.*)/);
-        // Extract the file name, line number, and column number
-        const fileName = match ? path.basename(match[1]) : null;
+        const source = this.#caller();
 
         const now = new Date();
 
@@ -347,7 +619,7 @@ class Logger {
 
         hours = hours % 12 || 12;
 
-        this.write("log", `${C_HEX.green}[debug][${hours}.${minutes}.${seconds}]${C_HEX.reset} ${fileName ? fileName : ""} -`, message.join(" "));
+        this.write("debug", `${C_HEX.green}[debug][${hours}.${minutes}.${seconds}]${C_HEX.reset} ${source || ""} -`, parsed.message.join(" "), source, parsed.context);
     }
 };
 
@@ -367,47 +639,112 @@ const CURRENT_CONST_VALUES = {
         ADMIN_PASSWORD: 'password',
         LOG_LEVEL: 'debug'
     },
+    /**
+     * Settings schema, also what makes a new .env file
+     * 
+     * @type {ENV_FIELD[]}
+     */
     DEFAULT_ENV_VALUES: [
         {
             desc: '; How often a DB backup is made in minutes.',
             key: 'BACKUP',
-            value: '30'
+            value: '30',
+            label: 'Backup time',
+            help: 'in minutes.',
+            group: 'Server Management',
+            type: 'number',
+            min: 1,
+            hint: 'Must be a whole number of minutes.',
+            restart: false
+        },
+        {
+            desc: '; Version of the game to run.',
+            key: 'VER',
+            value: 'GL',
+            label: 'Region',
+            group: 'Game Server',
+            type: 'string',
+            enum: ['GL', 'JP'],
+            restart: true
         },
-        { desc: '; Version of the game to run.', key: 'VER', value: 'GL' },
         {
             desc: '; For statically setting the IP Address of the host machine.',
             key: 'IP_ADDRESS',
-            value: ''
+            value: '',
+            label: 'IP Address (v4)',
+            help: 'Leave empty to find it on start.',
+            group: 'Game Server',
+            type: 'string',
+            pattern: '^((\\d{1,3}\\.){3}\\d{1,3})?$',
+            hint: 'Must be an IPv4 address.',
+            restart: true
         },
         {
             desc: '; Port to run the server on.',
             key: 'PORT',
-            value: '8000'
+            value: '8000',
+            label: 'Port',
+            group: 'Game Server',
+            type: 'number',
+            min: 0,
+            max: 65535,
+            hint: 'Must be a port from 0 to 65535.',
+            restart: true
         },
         {
             desc: '; Uses https server instead of http. Must have key.pem & cert.pem in program root directory.',
             key: 'USE_HTTPS',
-            value: 'false'
+            value: 'false',
+            label: 'Use HTTPS?',
+            help: 'Requires key.pem & cert.pem files in root of server folder.',
+            group: 'Game Server',
+            type: 'boolean',
+            restart: true
         },
         {
             desc: '; Enables the admin panel website at http://localhost:[ADMIN_PORT]/adminPanel',
             key: 'ADMIN_PANEL',
-            value: 'true'
+            value: 'true',
+            label: 'Enabled?',
+            help: 'Disabling this webpage means the server is operated with command lines ONLY.',
+            group: 'Admin Panel',
+            type: 'boolean',
+            restart: true
         },
         {
             desc: '; Port to run admin panel on.',
             key: 'ADMIN_PORT',
-            value: '8081'
+            value: '8081',
+            label: 'Port',
+            group: 'Admin Panel',
+            type: 'number',
+            min: 0,
+            max: 65535,
+            hint: 'Must be a port from 0 to 65535.',
+            restart: true
         },
         {
             desc: '; Admin panel username.',
             key: 'ADMIN_USERNAME',
-            value: 'admin'
+            value: 'admin',
+            label: 'Username',
+            group: 'Admin Panel',
+            type: 'string',
+            pattern: '^[^\\r\\n]+$',
+            hint: "Can't be empty or have line breaks.",
+            restart: false
         },
         {
             desc: '; Admin panel password.',
             key: 'ADMIN_PASSWORD',
-            value: 'password'
+            value: 'password',
+            label: 'Password',
+            group: 'Admin Panel',
+            type: 'string',
+            pattern: '^[^\\r\\n]+$',
+            hint: "Can't be empty or have line breaks.",
+            secret: true,
+            restart: false
         },
         {
             desc: '; Logger level.\n' +
@@ -417,7 +754,12 @@ const CURRENT_CONST_VALUES = {
                 '; info  = Just the basics are logged\n' +
                 '; Recommended as "error"',
             key: 'LOG_LEVEL',
-            value: 'error'
+            value: 'error',
+            label: 'Log level',
+            group: 'Server Management',
+            type: 'string',
+            enum: ['debug', 'warn', 'error', 'info'],
+            restart: false
         }
     ],
     BACKUP: 30,
@@ -456,11 +798,6 @@ function _get_dir_name() {
 
 const DIR_NAME = _get_dir_name();
 
-/**
- * @type {string[]}
- */
-const CURRENT_LOG = [];
-
 /**
  * For console log colors
  * 
@@ -469,41 +806,201 @@ const CURRENT_LOG = [];
  */
 const C_HEX = {
     black: '\x1b[30m',
-    30: "#000000",
     red: '\x1b[31m',     // error
-    31: "#db6a6a",
     green: '\x1b[32m',   // debug
-    32: "#05a905",
     yellow: '\x1b[33m',
-    33: "#cece05",
     blue: '\x1b[34m',
-    34: "#03a9f4",
     magenta: '\x1b[35m', // warn
-    35: "#c965c9",
     cyan: '\x1b[36m',    // info
-    36: "#00bcd4",
     white: '\x1b[37m',
-    37: "#ffffff",
     grey: '\x1b[90m',
-    90: "#808080",
     reset: '\x1b[0m',    // ending
     ansiToHtml: ansiToHtml
 };
 
 /**
- * Converts ANSI color codes to HTML spans.
- * Supports standard 30-37 foreground colors + reset.
+ * @typedef {{bold: boolean, dim: boolean, italic: boolean, underline: boolean, inverse: boolean, strike: boolean, fg: number|string|null, bg: number|string|null}} SGR_STATE
+ */
+
+/**
+ * Rgb of a 256 color palette entry above the 16 named colors.
+ * 
+ * @param {number} n 16 - 255
+ */
+function _ansi_256_rgb(n) {
+    if (n >= 232) {
+        const grey = 8 + (n - 232) * 10;
+
+        return `rgb(${grey},${grey},${grey})`;
+    }
+
+    const levels = [0, 95, 135, 175, 215, 255];
+
+    const cube = n - 16;
+
+    return `rgb(${levels[Math.floor(cube / 36)]},${levels[Math.floor(cube / 6) % 6]},${levels[cube % 6]})`;
+};
+
+/**
+ * Reads an extended color after 38 or 48.
+ * 
+ * @param {number[]} codes
+ * @param {number} i index of the 38 / 48
+ * @returns {{color: number|string|null, next: number}} palette index (0 - 15) or css rgb, and the last code used
+ */
+function _ansi_extended_color(codes, i) {
+    if (codes[i + 1] == 5 && codes[i + 2] != undefined) {
+        const n = codes[i + 2];
+
+        return { color: n < 16 ? n : n < 256 ? _ansi_256_rgb(n) : null, next: i + 2 };
+    }
+
+    if (codes[i + 1] == 2 && codes[i + 4] != undefined) {
+        const rgb = codes.slice(i + 2, i + 5).map(value => Math.min(value, 255));
+
+        return { color: `rgb(${rgb.join(",")})`, next: i + 4 };
+    }
+
+    return { color: null, next: codes.length };
+};
+
+/**
+ * Applies one SGR (`\x1b[...m`) sequence to the current state.
+ * 
+ * @param {SGR_STATE} state
+ * @param {string} params `;` separated codes, empty is a reset
+ */
+function _apply_sgr(state, params) {
+    const codes = params == "" ? [0] : params.split(/[;:]/).map(code => code == "" ? 0 : parseInt(code, 10));
+
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+
+        if (code == 0) {
+            Object.assign(state, _sgr_reset());
+        } else if (code == 1) {
+            state.bold = true;
+        } else if (code == 2) {
+            state.dim = true;
+        } else if (code == 3) {
+            state.italic = true;
+        } else if (code == 4) {
+            state.underline = true;
+        } else if (code == 7) {
+            state.inverse = true;
+        } else if (code == 9) {
+            state.strike = true;
+        } else if (code == 22) {
+            state.bold = false;
+
+            state.dim = false;
+        } else if (code == 23) {
+            state.italic = false;
+        } else if (code == 24) {
+            state.underline = false;
+        } else if (code == 27) {
+            state.inverse = false;
+        } else if (code == 29) {
+            state.strike = false;
+        } else if (code >= 30 && code <= 37) {
+            state.fg = code - 30;
+        } else if (code == 38 || code == 48) {
+            const extended = _ansi_extended_color(codes, i);
+
+            if (code == 38) {
+                state.fg = extended.color;
+            } else {
+                state.bg = extended.color;
+            }
+
+            i = extended.next;
+        } else if (code == 39) {
+            state.fg = null;
+        } else if (code >= 40 && code <= 47) {
+            state.bg = code - 40;
+        } else if (code == 49) {
+            state.bg = null;
+        } else if (code >= 90 && code <= 97) {
+            state.fg = code - 90 + 8;
+        } else if (code >= 100 && code <= 107) {
+            state.bg = code - 100 + 8;
+        }
+    }
+};
+
+/**
+ * @returns {SGR_STATE}
+ */
+function _sgr_reset() {
+    return { bold: false, dim: false, italic: false, underline: false, inverse: false, strike: false, fg: null, bg: null };
+};
+
+/**
+ * Opening span for a state, empty when nothing is set.
+ * 
+ * Named colors and styles are `ansi-*` classes, 256 and true colors are inline rgb.
+ * 
+ * @param {SGR_STATE} state
+ */
+function _sgr_span(state) {
+    const classes = [];
+
+    const styles = [];
+
+    const fg = state.inverse ? state.bg : state.fg;
+
+    const bg = state.inverse ? state.fg : state.bg;
+
+    if (state.bold) classes.push("ansi-bold");
+
+    if (state.dim) classes.push("ansi-dim");
+
+    if (state.italic) classes.push("ansi-italic");
+
+    if (state.underline) classes.push("ansi-underline");
+
+    if (state.strike) classes.push("ansi-strike");
+
+    if (typeof fg == "number") {
+        classes.push(`ansi-fg-${fg}`);
+    } else if (typeof fg == "string") {
+        styles.push(`color:${fg}`);
+    } else if (state.inverse) {
+        classes.push("ansi-fg-inverse");
+    }
+
+    if (typeof bg == "number") {
+        classes.push(`ansi-bg-${bg}`);
+    } else if (typeof bg == "string") {
+        styles.push(`background-color:${bg}`);
+    } else if (state.inverse) {
+        classes.push("ansi-bg-inverse");
+    }
+
+    if (classes.length == 0 && styles.length == 0) {
+        return "";
+    }
+
+    return `<span${classes.length == 0 ? "" : ` class="${classes.join(" ")}"`}${styles.length == 0 ? "" : ` style="${styles.join(";")}"`}>`;
+};
+
+/**
+ * Converts ANSI SGR codes to HTML spans.
+ * 
+ * Tracks bold, dim, italic, underline, inverse, strike, the 16 named colors, 256 colors and true color,
+ * combined codes like `\x1b[1;31m` included. Each run of text gets one span with everything that's on.
+ * Other control sequences are dropped.
  * 
  * @param {string} input 
  */
 function ansiToHtml(input) {
-    const ansiRegex = /\x1b\[(\d+)m/g;
+    const ansiRegex = /\x1b\[([0-9;:?]*)([A-Za-z])/g;
 
     let result = "";
 
     let lastIndex = 0;
 
-    let openSpan = false;
+    const state = _sgr_reset();
 
     /**
      * escapeHtml
@@ -514,7 +1011,8 @@ function ansiToHtml(input) {
         return str
             .replace(/&/g, "&amp;")
             .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;");
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
     }
 
     /**
@@ -533,40 +1031,34 @@ function ansiToHtml(input) {
         });
     }
 
-    let match;
-
-    while ((match = ansiRegex.exec(input)) !== null) {
-        const code = parseInt(match[1], 10);
-
-        const textChunk = input.slice(lastIndex, match.index);
-
-        result += escapeHtml(textChunk);
+    /**
+     * Adds text styled with the current state.
+     * 
+     * @param {string} text 
+     */
+    function addText(text) {
+        if (text == "") {
+            return;
+        }
 
-        lastIndex = ansiRegex.lastIndex;
+        const span = _sgr_span(state);
 
-        if (code === 0) {
-            if (openSpan) {
-                result += "</span>";
+        result += span + linkify(escapeHtml(text)) + (span == "" ? "" : "</span>");
+    }
 
-                openSpan = false;
-            }
+    let match;
 
-            continue;
-        }
+    while ((match = ansiRegex.exec(input)) !== null) {
+        addText(input.slice(lastIndex, match.index));
 
-        // @ts-ignore
-        if (C_HEX[code] != undefined) {
-            if (openSpan) result += "</span>";
-            // @ts-ignore
-            result += `<span style="color:${C_HEX[code]}">`;
+        lastIndex = ansiRegex.lastIndex;
 
-            openSpan = true;
+        if (match[2] == "m") {
+            _apply_sgr(state, match[1]);
         }
     }
 
-    result += linkify(escapeHtml(escapeHtml(input.slice(lastIndex))));
-
-    if (openSpan) result += "</span>";
+    addText(input.slice(lastIndex));
 
     return result;
 };
@@ -575,378 +1067,2289 @@ function ansiToHtml(input) {
  * @type {INSTANCE}
  */
 const INSTANCE = {
-    clients: new Set()
+    clients: new Set(),
+    client_info: new Map(),
+    sessions: new Map()
 };
 
 /**
- * Creates admin panel server
+ * How long an admin login lasts in ms (12 hours).
  */
-async function admin_panel() {
-    const ADMIN_URL = `http://${IP_ADDRESS}:${PORT}/`;
+const SESSION_TIME = 12 * 60 * 60 * 1000;
 
-    INSTANCE.clients = new Set();
+/**
+ * WebSocket close code sent when a session runs out or logs out.
+ */
+const SESSION_CLOSE_CODE = 4001;
 
-    INSTANCE.admin_server != undefined ? INSTANCE.admin_server : INSTANCE.admin_server = http.createServer(async (req, res) => {
-        if (req.method === 'OPTIONS') {
-            // Set CORS headers
-            res.setHeader('Access-Control-Allow-Origin', '*'); // Allow requests from any origin
+/**
+ * How often admin sockets are pinged in ms. A socket that misses one ping is dropped.
+ */
+const HEARTBEAT_TIME = 30 * 1000;
 
-            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS'); // Allow these HTTP methods
+/**
+ * Admin sockets that haven't answered the last ping yet.
+ *
+ * @type {WeakSet<WebSocket>}
+ */
+const AWAITING_PONG = new WeakSet();
 
-            res.setHeader('Access-Control-Allow-Credentials', 'true'); // Allow credentials (e.g., cookies)
+/**
+ * Version of the admin message protocol.
+ *
+ * Bump when messages change shape so older cached panels know to reload.
+ */
+const PROTOCOL_VERSION = 1;
 
-            res.writeHead(200);
+/**
+ * Reads the admin panel build version from package.json.
+ *
+ * @returns {string|undefined}
+ */
+function _get_panel_version() {
+    try {
+        // next to this file, not wherever the server was started from
+        return JSON.parse(fs.readFileSync(path.join(__dirname, "..", "..", "package.json"), "utf8")).version;
+    } catch {
+        return undefined;
+    }
+};
 
-            res.end();
+/**
+ * Version of the admin panel this server serves, `undefined` if unknown.
+ */
+const PANEL_VERSION = _get_panel_version();
 
-            return;
-        } else if (
-            req.method === 'POST' ||
-            req.method === 'GET' ||
-            req.method === "PUT"
-        ) {
-            // everything is handled here.
-            _admin_route(req, res, ADMIN_URL);
-        } else {
-            const ipAddress = req && req.socket && req.socket.remoteAddress && req.socket.remoteAddress.replace(/::ffff:/, "");
+/**
+ * Compares two strings without leaking the length of the match through timing.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeCompare(a, b) {
+    const hashA = crypto.createHash("sha256").update(`${a}`).digest();
 
-            Logger.warn(`${ipAddress} req method outside of POST / GET / PUT for Admin Panel: ` + req.method);
+    const hashB = crypto.createHash("sha256").update(`${b}`).digest();
 
-            res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return crypto.timingSafeEqual(hashA, hashB);
+};
 
-            res.end('Not Found');
+/**
+ * Admin roles from lowest to highest. Each role can do everything the roles before it can.
+ *
+ * - viewer   : watch logs and look at server data.
+ * - operator : install / uninstall assets and patches, cancel / pause jobs, restart, switch devices.
+ * - owner    : everything, including settings, deleting accounts and shutting down.
+ *
+ * @type {ROLE[]}
+ */
+const ADMIN_ROLES = ["viewer", "operator", "owner"];
 
-            return;
-        }
-    });
+/**
+ * Lowest role that may send each WebSocket message type.
+ *
+ * Anything not listed here is owner only.
+ *
+ * @type {{[key in keyof RequestMap]?: ROLE}}
+ */
+const COMMAND_ROLES = {
+    // viewer
+    downloadLog: "viewer",
+    listLogs: "viewer",
+    getLogHistory: "viewer",
+    timeRequest: "viewer",
+    ping: "viewer",
+    hello: "viewer",
+    listJobs: "viewer",
+    getJob: "viewer",
+    getJobLog: "viewer",
+    getPatches: "viewer",
+    getServerDB: "viewer",
+    displayURLs: "viewer",
+    getConstValues: "viewer",
+    checkServerVersion: "viewer",
+    getPlayerAccounts: "viewer",
+    test: "viewer",
+    // operator
+    startProcess: "operator",
+    restartServer: "operator",
+    installAsset: "operator",
+    uninstallAsset: "operator",
+    installPatch: "operator",
+    uninstallPatch: "operator",
+    switchDevice: "operator",
+    getSecret: "operator",
+    purgeLogs: "operator",
+    cancelJob: "operator",
+    pauseJob: "operator",
+    resumeJob: "operator",
+    // owner
+    getEnvValues: "owner",
+    setEnvValues: "owner",
+    shutdownServer: "owner",
+    deletePlayerAccount: "owner",
+    deletePlayerID: "owner",
+    getAuditLog: "owner",
+    getConfigHistory: "owner",
+    restoreConfig: "owner"
+};
 
-    INSTANCE.admin_wss != undefined ? INSTANCE.admin_wss : INSTANCE.admin_wss = new WebSocketServer({ noServer: true });
-    /**
-     * Broadcast message to all connected admin clients.
-     * 
-     * @param {{type: string, id: number, payload: any}} message 
-     */
-    function broadcast(message) {
-        const payload = JSON.stringify(message);
+/**
+ * Helper accounts with a lower role than the .env admin (who is always owner).
+ *
+ * One JSON list of `{username, role, salt, hash}`, made with `--add-user`.
+ */
+const ADMIN_USERS_PATH = path.join(DIR_NAME, "db", "admin_users.json");
 
-        for (const client of INSTANCE.clients) {
-            if (client.readyState === 1) {
-                client.send(payload);
-            }
-        }
-    };
-    /**
-     * Send message to client
-     * 
-     * @param {WebSocket} ws 
-     * @param {any} message 
-     */
-    function send(ws, message) {
-        if (ws.readyState === 1) {
-            ws.send(JSON.stringify(message));
-        }
-    };
+/**
+ * @typedef {{username: string, role: ROLE, salt: string, hash: string}} ADMIN_ACCOUNT
+ */
 
-    /**
-     * Simple increaing number for ids on WebSocket messages
-     */
-    var ID = 0;
+/**
+ * Loaded from {@link ADMIN_USERS_PATH} on start.
+ *
+ * @type {ADMIN_ACCOUNT[]}
+ */
+const ADMIN_ACCOUNTS = [];
 
-    /**
-     * Intercept console methods so existing console.log 
-     * calls still work normally while also streaming 
-     * to admin panel.
-     */
-    function interceptConsole() {
-        const originalLog = console.log;
+/**
+ * scrypt hash of a password, as hex.
+ *
+ * @param {string} password
+ * @param {string} salt hex
+ */
+function hashPassword(password, salt) {
+    return crypto.scryptSync(`${password}`, Buffer.from(salt, "hex"), 64).toString("hex");
+};
 
-        const originalError = console.error;
+/**
+ * Reads the helper accounts file into ADMIN_ACCOUNTS, skipping bad entries.
+ */
+function loadAdminAccounts() {
+    ADMIN_ACCOUNTS.length = 0;
 
-        const originalWarn = console.warn;
+    if (!fs.existsSync(ADMIN_USERS_PATH)) {
+        return;
+    }
 
-        const regexRemove = /\x1b\[[0-9;]*[mG]/g;
+    try {
+        const accounts = JSON.parse(fs.readFileSync(ADMIN_USERS_PATH, "utf8"));
 
-        console.log = (...args) => {
-            originalLog(...args);
+        if (!Array.isArray(accounts)) {
+            throw new Error("Must be a list of accounts.");
+        }
 
-            const message = args.join(" ");
+        accounts.forEach((account, index) => {
+            // the owner only comes from the .env
+            if (account == null ||
+                typeof account.username != "string" || account.username == "" ||
+                typeof account.salt != "string" || typeof account.hash != "string" ||
+                !ADMIN_ROLES.includes(account.role) || account.role == "owner"
+            ) {
+                Logger.warn(`Skipped bad admin account ${index + 1} in ${ADMIN_USERS_PATH}.`);
 
-            if (INSTANCE.clients.size != 0) {
-                broadcast({ type: "log", id: ID++, payload: { text: message.replace(regexRemove, ''), html: C_HEX.ansiToHtml(message) } });
+                return;
             }
-        };
-
-        console.error = (...args) => {
-            originalError(...args);
 
-            const message = args.join(" ");
+            ADMIN_ACCOUNTS.push({ username: account.username, role: account.role, salt: account.salt, hash: account.hash });
+        });
+    } catch (error) {
+        Logger.error(`Couldn't read admin accounts ${ADMIN_USERS_PATH}, only the .env admin can log in.`);
 
-            if (INSTANCE.clients.size != 0) {
-                broadcast({ type: "log", id: ID++, payload: { text: message.replace(regexRemove, ''), html: C_HEX.ansiToHtml(message) } });
-            }
-        };
+        Logger.error(error);
+    }
+};
 
-        console.warn = (...args) => {
-            originalWarn(...args);
+/**
+ * Adds or replaces a helper account in {@link ADMIN_USERS_PATH}.
+ *
+ * @example
+ * ```
+ * node server.cjs --add-user <username> <viewer|operator> <password>
+ * ```
+ *
+ * @param {string} username
+ * @param {string} role
+ * @param {string} password
+ * @throws if the details are wrong or the file can't be written
+ */
+function addAdminAccount(username, role, password) {
+    if (!username || !password || !["viewer", "operator"].includes(role)) {
+        throw new Error("Usage: --add-user <username> <viewer|operator> <password>");
+    }
 
-            const message = args.join(" ");
+    loadAdminAccounts();
 
-            if (INSTANCE.clients.size != 0) {
-                broadcast({ type: "log", id: ID++, payload: { text: message.replace(regexRemove, ''), html: C_HEX.ansiToHtml(message) } });
-            }
-        };
-    };
+    const salt = crypto.randomBytes(16).toString("hex");
 
-    /**
-     * Critical: Authenticate BEFORE upgrade.
-     */
-    INSTANCE.admin_server.on("upgrade", (request, socket, head) => {
-        INSTANCE.admin_wss?.handleUpgrade(request, socket, head, (ws) => {
-            INSTANCE.admin_wss?.emit("connection", ws, request);
-        });
-    });
+    const accounts = ADMIN_ACCOUNTS.filter(account => account.username != username);
 
-    INSTANCE.admin_wss.on("connection", (ws) => {
-        INSTANCE.clients.add(ws);
+    accounts.push({ username: username, role: /** @type {ROLE} */(role), salt: salt, hash: hashPassword(password, salt) });
 
-        ws.on("message", async (raw) => {
-            try {
-                const msg = JSON.parse(raw.toString());
+    writeFileAtomic(ADMIN_USERS_PATH, JSON.stringify(accounts, null, 4) + "\n");
 
-                if (msg.type != undefined) {
-                    _admin_websocket_functions(send, ws, msg, ID++);
-                } else {
-                    send(ws, {
-                        type: "error",
-                        id: msg.id,
-                        payload: {
-                            message: "Unknown action"
-                        }
-                    });
-                }
-            } catch {
-                send(ws, {
-                    type: "error",
-                    payload: {
-                        message: "Invalid message format"
-                    }
-                });
-            }
-        });
+    loadAdminAccounts();
+};
 
-        ws.on("close", () => INSTANCE.clients.delete(ws));
+/**
+ * If a role is allowed to send a message type.
+ *
+ * @param {ROLE} role
+ * @param {string} type message type
+ * @returns {boolean}
+ */
+function hasPermission(role, type) {
+    // @ts-ignore
+    const needed = COMMAND_ROLES[type] || "owner";
+
+    return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(needed);
+};
+
+/**
+ * All message types a role is allowed to send.
+ *
+ * @param {ROLE} role
+ * @returns {string[]}
+ */
+function getPermissions(role) {
+    return Object.keys(COMMAND_ROLES).filter(type => hasPermission(role, type));
+};
+
+/**
+ * Any text that stays on one line of the .env
+ */
+const LINE_PATTERN = /^[^\r\n]*$/;
+
+/**
+ * Request field check for a DEFAULT_ENV_VALUES entry.
+ *
+ * Values are always sent as strings, like they are stored.
+ *
+ * @param {ENV_FIELD} field
+ * @returns {FIELD_SCHEMA}
+ */
+function envFieldSchema(field) {
+    if (field.type == "boolean") {
+        return { type: "string", optional: true, enum: ["true", "false"] };
+    }
+
+    if (field.type == "number") {
+        return { type: "string", optional: true, pattern: /^-?[0-9]+$/, min: field.min, max: field.max, hint: field.hint || "Must be a whole number." };
+    }
+
+    return {
+        type: "string",
+        optional: true,
+        enum: field.enum,
+        pattern: field.pattern == undefined ? undefined : new RegExp(field.pattern),
+        hint: field.hint
+    };
+};
+
+/**
+ * .env values that can be changed with setEnvValues, made from DEFAULT_ENV_VALUES.
+ *
+ * @type {{[key: string]: FIELD_SCHEMA}}
+ */
+const ENV_FIELDS = Object.fromEntries(CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES.map(field => [field.key, envFieldSchema(field)]));
+
+/**
+ * Payload schema of every request, mirrors the `request` side of {@link RequestMap}.
+ *
+ * `open` schemas take any extra fields, the rest reject fields they don't list.
+ * Every type in {@link COMMAND_ROLES} needs an entry.
+ *
+ * @type {{[type: string]: REQUEST_SCHEMA}}
+ */
+const REQUEST_SCHEMAS = {
+    restartServer:       { fields: {}, open: true },
+    shutdownServer:      { fields: {}, open: true },
+    checkServerVersion:  { fields: { test: { type: "boolean", optional: true } } },
+    installAsset:        {
+        fields: {
+            version:     { type: "string", enum: ["GL", "JP"] },
+            os:          { type: "string", enum: ["Android", "iOS"] },
+            deleteAfter: { type: "boolean", optional: true }
+        }
+    },
+    uninstallAsset:      {
+        fields: {
+            version:     { type: "string", enum: ["GL", "JP"] },
+            os:          { type: "string", enum: ["Android", "iOS"] }
+        }
+    },
+    installPatch:        {
+        fields: {
+            patch:       { type: "string", pattern: /^.+$/, hint: "Needs a patch name." },
+            deleteAfter: { type: "boolean", optional: true }
+        }
+    },
+    uninstallPatch:      { fields: { patch: { type: "string", pattern: /^.+$/, hint: "Needs a patch name." } } },
+    deletePlayerAccount: { fields: { id: { type: "number" } } },
+    deletePlayerID:      { fields: { id: { type: "number" } } },
+    getPlayerAccounts:   {
+        fields: {
+            uuid:        { type: "string", optional: true },
+            player_id:   { type: "string", optional: true },
+            ip_address:  { type: "string", optional: true }
+        }
+    },
+    getSecret:           { fields: { username: { type: "string", pattern: /^.+$/, hint: "Needs a username." } } },
+    switchDevice:        {
+        fields: {
+            uuid:        { type: "string", pattern: /^\S+$/, hint: "Needs a device id without spaces." },
+            player_id:   { type: "string", pattern: /^.+$/, hint: "Needs a player id." }
+        }
+    },
+    hello:               {
+        fields: {
+            version:     { type: "string" },
+            protocol:    { type: "number" },
+            types:       { type: "array", items: "string" }
+        }
+    },
+    ping:                { fields: { time: { type: "number" } } },
+    timeRequest:         { fields: {}, open: true },
+    displayURLs:         { fields: {}, open: true },
+    getPatches:          { fields: {}, open: true },
+    getServerDB:         { fields: {}, open: true },
+    getEnvValues:        { fields: {}, open: true },
+    setEnvValues:        { fields: ENV_FIELDS, minFields: 1 },
+    getConfigHistory:    { fields: {}, open: true },
+    restoreConfig:       { fields: { version: { type: "number" } } },
+    getConstValues:      { fields: {}, open: true },
+    startProcess:        { fields: {}, open: true },
+    purgeLogs:           { fields: {}, open: true },
+    test:                { fields: {}, open: true },
+    getAuditLog:         {
+        fields: {
+            user:        { type: "string", optional: true },
+            action:      { type: "string", optional: true },
+            from:        { type: "string", optional: true, pattern: /^\d{4}-\d{2}-\d{2}T/, hint: "Must be an ISO date." },
+            to:          { type: "string", optional: true, pattern: /^\d{4}-\d{2}-\d{2}T/, hint: "Must be an ISO date." }
+        }
+    },
+    downloadLog:         { fields: { file: { type: "string", optional: true } } },
+    listLogs:            { fields: {}, open: true },
+    getLogHistory:       {
+        fields: {
+            since:       { type: "number", optional: true },
+            boot:        { type: "number", optional: true }
+        }
+    },
+    listJobs:            { fields: {}, open: true },
+    getJob:              { fields: { jobId: { type: "number" } } },
+    getJobLog:           { fields: { jobId: { type: "number" } } },
+    cancelJob:           { fields: { jobId: { type: "number" } } },
+    pauseJob:            { fields: { jobId: { type: "number" } } },
+    resumeJob:           { fields: { jobId: { type: "number" } } }
+};
+
+/**
+ * Checks one payload value against its schema.
+ *
+ * @param {FIELD_SCHEMA} field
+ * @param {any} value
+ * @returns {string|undefined} what is wrong, `undefined` if the value is ok
+ */
+function checkField(field, value) {
+    if (value === undefined || value === null) {
+        return field.optional ? undefined : "Required.";
+    }
+
+    if (field.type == "array") {
+        if (!Array.isArray(value)) {
+            return "Must be a list.";
+        }
+
+        if (field.items != undefined && value.some(item => typeof item != field.items)) {
+            return `Must be a list of ${field.items}s.`;
+        }
+
+        return undefined;
+    }
+
+    if (typeof value != field.type || (field.type == "number" && !Number.isFinite(value))) {
+        return `Must be a ${field.type}.`;
+    }
+
+    if (field.enum != undefined && !field.enum.includes(value)) {
+        return `Must be one of ${field.enum.map(self => `"${self}"`).join(", ")}.`;
+    }
+
+    if (field.pattern != undefined && !field.pattern.test(value)) {
+        return field.hint || "Wrong format.";
+    }
+    // number text is checked by what it reads as
+    if (field.min != undefined && Number(value) < field.min) {
+        return field.hint || `Must be at least ${field.min}.`;
+    }
+
+    if (field.max != undefined && Number(value) > field.max) {
+        return field.hint || `Must be at most ${field.max}.`;
+    }
+
+    return undefined;
+};
+
+/**
+ * Checks a request payload against {@link REQUEST_SCHEMAS}.
+ *
+ * A missing payload counts as `{}` and is set on the message so handlers can read fields safely.
+ *
+ * @param {{type: string, payload?: any}} msg
+ * @returns {{[field: string]: string}|undefined} message for each bad field, `undefined` if the request is ok
+ */
+function validateRequest(msg) {
+    const schema = REQUEST_SCHEMAS[msg.type];
+    // unknown types are answered by the switch
+    if (schema == undefined) {
+        return undefined;
+    }
+
+    const payload = msg.payload == undefined ? {} : msg.payload;
+
+    if (typeof payload != "object" || Array.isArray(payload)) {
+        return { payload: "Must be an object." };
+    }
+
+    /**
+     * @type {{[field: string]: string}}
+     */
+    const errors = {};
+
+    const keys = Object.keys(schema.fields);
+
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+
+        const error = checkField(schema.fields[key], payload[key]);
+
+        if (error != undefined) {
+            errors[key] = error;
+        }
+    }
+
+    if (!schema.open) {
+        Object.keys(payload).forEach(key => {
+            if (!keys.includes(key)) {
+                errors[key] = "Unknown field.";
+            }
+        });
+    }
+
+    if (schema.minFields != undefined && Object.keys(payload).filter(key => keys.includes(key)).length < schema.minFields) {
+        errors.payload = `Needs at least ${schema.minFields} field${schema.minFields == 1 ? "" : "s"}.`;
+    }
+
+    if (Object.keys(errors).length != 0) {
+        return errors;
+    }
+
+    msg.payload = payload;
+
+    return undefined;
+};
+
+/**
+ * Checks login details against the .env admin username and password
+ * and the helper accounts.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {ROLE|undefined} role of the account, `undefined` if the login is wrong
+ */
+function checkCredentials(username, password) {
+    const env = CURRENT_CONST_VALUES.CURRENT_ENV_VALUES;
+    // both checks always run so a wrong username takes as long as a wrong password
+    const userOK = safeCompare(username, env.ADMIN_USERNAME);
+
+    const passOK = safeCompare(password, env.ADMIN_PASSWORD);
+
+    if (userOK && passOK) {
+        return "owner";
+    }
+
+    for (let i = 0; i < ADMIN_ACCOUNTS.length; i++) {
+        const account = ADMIN_ACCOUNTS[i];
+
+        const accountUserOK = safeCompare(username, account.username);
+
+        const accountPassOK = safeCompare(hashPassword(password, account.salt), account.hash);
+
+        if (accountUserOK && accountPassOK) {
+            return account.role;
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * Creates a new admin session.
+ *
+ * @param {string} username
+ * @param {ROLE} role
+ * @param {string} ip
+ * @returns {{token: string, session: SESSION}}
+ */
+function createSession(username, role, ip) {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    const now = Date.now();
+
+    const session = {
+        username: username,
+        role: role,
+        ip: ip,
+        created: now,
+        expires: now + SESSION_TIME
+    };
+
+    INSTANCE.sessions.set(token, session);
+
+    return { token, session };
+};
+
+/**
+ * Gets a session by token. Removes it if it has expired.
+ *
+ * @param {string|null|undefined} token
+ * @returns {SESSION|undefined}
+ */
+function getSession(token) {
+    if (!token) {
+        return undefined;
+    }
+
+    const session = INSTANCE.sessions.get(token);
+
+    if (session == undefined) {
+        return undefined;
+    }
+
+    if (session.expires <= Date.now()) {
+        INSTANCE.sessions.delete(token);
+
+        return undefined;
+    }
+
+    return session;
+};
+
+/**
+ * Removes a session and closes any sockets that were using it.
+ *
+ * @param {string} token
+ * @param {string} reason close reason sent to the client
+ */
+function endSession(token, reason) {
+    INSTANCE.sessions.delete(token);
+
+    for (const [ws, client] of INSTANCE.client_info) {
+        if (client.token == token) {
+            ws.close(SESSION_CLOSE_CODE, reason);
+        }
+    }
+};
+
+/**
+ * Ends every owner session, once the reply to the change that caused it has gone out.
+ *
+ * @param {string} reason close reason sent to the client
+ */
+function endOwnerSessions(reason) {
+    setImmediate(() => {
+        for (const [token, session] of INSTANCE.sessions) {
+            if (session.role == "owner") {
+                Logger.info(`Admin session for ${session.username} ended, ${reason.toLowerCase()}.`);
+
+                endSession(token, reason);
+            }
+        }
+    });
+};
+
+/**
+ * Drops expired sessions and closes their sockets.
+ */
+function sweepSessions() {
+    const now = Date.now();
+
+    for (const [token, session] of INSTANCE.sessions) {
+        if (session.expires <= now) {
+            Logger.info(`Admin session for ${session.username} expired.`);
+
+            endSession(token, "Session expired");
+        }
+    }
+};
+
+/**
+ * (Re)starts the DB backup timer at the current BACKUP minutes.
+ */
+function startBackupTimer() {
+    clearInterval(INSTANCE.backup_timer);
+
+    const minutes = CURRENT_CONST_VALUES.CURRENT_ENV_VALUES.BACKUP;
+
+    INSTANCE.backup_timer = setInterval(() => {
+        Logger.debug(`DB backup made.`);
+    }, minutes * 60 * 1000);
+
+    Logger.debug(`DB backup every ${minutes} minutes.`);
+};
+
+/**
+ * Pings every admin socket and drops the ones that didn't answer the last ping,
+ * so half-open connections (sleeping laptops, dropped wifi) don't linger.
+ */
+function sweepClients() {
+    for (const ws of INSTANCE.clients) {
+        if (AWAITING_PONG.has(ws)) {
+            const client = INSTANCE.client_info.get(ws);
+
+            Logger.warn(`${client ? client.username : "Unknown user"} stopped responding, closing their Admin Panel connection.`);
+
+            ws.terminate();
+
+            continue;
+        }
+
+        AWAITING_PONG.add(ws);
+
+        ws.ping();
+    }
+};
+
+/**
+ * When this server started, tells log ids from before a restart apart
+ */
+const SERVER_BOOT = Date.now();
+
+/**
+ * Recent `log` messages, oldest first, for panels that connect later.
+ *
+ * @type {{id: number, payload: LOG_RECORD & {text: string, html: string, jobId?: number, boot: number}}[]}
+ */
+const LOG_HISTORY = [];
+
+/**
+ * Log messages kept for getLogHistory, the oldest are dropped past this
+ */
+const MAX_LOG_HISTORY = 1000;
+
+/**
+ * Broadcast message to all connected admin clients.
+ * 
+ * @param {{type: string, id: number, payload: any}} message 
+ * @param {WebSocket} [except] client to skip, when it was already sent the message
+ */
+function broadcast(message, except) {
+    const payload = JSON.stringify(message);
+
+    for (const client of INSTANCE.clients) {
+        if (client != except && client.readyState === 1) {
+            client.send(payload);
+        }
+    }
+};
+
+/**
+ * Gets the session token from a request, either from the `token` url param
+ * (WebSocket upgrades) or a `Bearer` authorization header.
+ *
+ * @param {IncomingMessage} req
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+    const auth = req.headers["authorization"];
+
+    if (typeof auth == "string" && auth.startsWith("Bearer ")) {
+        return auth.slice(7).trim();
+    }
+
+    const parsedUrl = new URL(req.url || "", SERVER_URL);
+
+    return parsedUrl.searchParams.get("token");
+};
+
+/**
+ * Creates admin panel server
+ */
+async function admin_panel() {
+    const ADMIN_URL = `http://${IP_ADDRESS}:${PORT}/`;
+
+    INSTANCE.clients = new Set();
+
+    INSTANCE.admin_server != undefined ? INSTANCE.admin_server : INSTANCE.admin_server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            // Set CORS headers
+            res.setHeader('Access-Control-Allow-Origin', '*'); // Allow requests from any origin
+
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS'); // Allow these HTTP methods
+
+            res.setHeader('Access-Control-Allow-Credentials', 'true'); // Allow credentials (e.g., cookies)
+
+            res.writeHead(200);
+
+            res.end();
+
+            return;
+        } else if (
+            req.method === 'POST' ||
+            req.method === 'GET' ||
+            req.method === "PUT"
+        ) {
+            // everything is handled here.
+            _admin_route(req, res, ADMIN_URL);
+        } else {
+            const ipAddress = req && req.socket && req.socket.remoteAddress && req.socket.remoteAddress.replace(/::ffff:/, "");
+
+            Logger.warn(`${ipAddress} req method outside of POST / GET / PUT for Admin Panel: ` + req.method);
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+
+            res.end('Not Found');
+
+            return;
+        }
+    });
+
+    INSTANCE.admin_wss != undefined ? INSTANCE.admin_wss : INSTANCE.admin_wss = new WebSocketServer({ noServer: true });
+    /**
+     * Send message to client
+     * 
+     * @param {WebSocket} ws 
+     * @param {any} message 
+     */
+    function send(ws, message) {
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    /**
+     * Simple increaing number for ids on WebSocket messages
+     */
+    var ID = 0;
+
+    /**
+     * Intercept console methods so existing console.log 
+     * calls still work normally while also streaming 
+     * to admin panel.
+     */
+    function interceptConsole() {
+        const originalLog = console.log;
+
+        const originalError = console.error;
+
+        const originalWarn = console.warn;
+
+        /**
+         * Adds a line to the transcript of the job that wrote it and streams it to the panel.
+         *
+         * Logger calls send their own record, plain console calls get one made from the console used.
+         * Kept in LOG_HISTORY even with no panel open.
+         *
+         * @param {string} message
+         * @param {LOG_LEVEL} level level for plain console calls
+         */
+        function streamLog(message, level) {
+            const text = message.replace(ANSI_PATTERN, '');
+
+            const jobId = JOB_CONTEXT.getStore();
+
+            if (jobId != undefined) {
+                appendJobLog(jobId, text);
+            }
+
+            /**
+             * @type {LOG_RECORD}
+             */
+            const record = Logger.record || {
+                level: level,
+                timestamp: new Date().toISOString(),
+                message: text
+            };
+
+            const log = { id: ID++, payload: { ...record, text: text, html: C_HEX.ansiToHtml(message), jobId: jobId, boot: SERVER_BOOT } };
+
+            LOG_HISTORY.push(log);
+
+            if (LOG_HISTORY.length > MAX_LOG_HISTORY) {
+                LOG_HISTORY.splice(0, LOG_HISTORY.length - MAX_LOG_HISTORY);
+            }
+
+            if (INSTANCE.clients.size != 0) {
+                broadcast({ type: "log", ...log });
+            }
+        };
+
+        console.log = (...args) => {
+            originalLog(...args);
+
+            streamLog(args.join(" "), "info");
+        };
+
+        console.error = (...args) => {
+            originalError(...args);
+
+            streamLog(args.join(" "), "error");
+        };
+
+        console.warn = (...args) => {
+            originalWarn(...args);
+
+            streamLog(args.join(" "), "warn");
+        };
+    };
+
+    /**
+     * Critical: Authenticate BEFORE upgrade.
+     */
+    INSTANCE.admin_server.on("upgrade", (request, socket, head) => {
+        const token = getRequestToken(request);
+
+        const session = getSession(token);
+
+        if (token == null || session == undefined) {
+            const ipAddress = request.socket && request.socket.remoteAddress && request.socket.remoteAddress.replace(/::ffff:/, "");
+
+            Logger.warn(`${ipAddress} tried to connect to the Admin Panel without a valid session.`);
+
+            socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+
+            socket.destroy();
+
+            return;
+        }
+
+        INSTANCE.admin_wss?.handleUpgrade(request, socket, head, (ws) => {
+            INSTANCE.client_info.set(ws, {
+                token: token,
+                username: session.username,
+                role: session.role,
+                ip: request.socket.remoteAddress?.replace(/::ffff:/, "") || ""
+            });
+
+            INSTANCE.admin_wss?.emit("connection", ws, request);
+        });
+    });
+
+    INSTANCE.admin_wss.on("connection", (ws) => {
+        INSTANCE.clients.add(ws);
+
+        ws.on("pong", () => {
+            AWAITING_PONG.delete(ws);
+        });
+
+        ws.on("message", async (raw) => {
+            // any message shows the client is still there
+            AWAITING_PONG.delete(ws);
+
+            try {
+                const msg = JSON.parse(raw.toString());
+
+                const client = INSTANCE.client_info.get(ws);
+
+                const fields = msg.type != undefined ? validateRequest(msg) : undefined;
+
+                if (msg.type != undefined && (client == undefined || !hasPermission(client.role, msg.type))) {
+                    Logger.warn(`${client ? client.username : "Unknown user"} tried "${msg.type}" without permission.`);
+
+                    if (AUDIT_ACTIONS.includes(msg.type)) {
+                        writeAudit(client, msg, { success: false, message: "Permission denied" });
+                    }
+
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: {
+                            // @ts-ignore
+                            message: `Permission denied, "${msg.type}" needs the ${COMMAND_ROLES[msg.type] || "owner"} role.`
+                        }
+                    });
+                } else if (fields != undefined) {
+                    const message = `Invalid "${msg.type}" request: ` + Object.keys(fields).map(key => `${key}: ${fields[key]}`).join(" ");
+
+                    Logger.warn(`${client ? client.username : "Unknown user"} sent an invalid request. ${message}`);
+
+                    if (AUDIT_ACTIONS.includes(msg.type)) {
+                        writeAudit(client, msg, { success: false, message: message });
+                    }
+
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: {
+                            message: message,
+                            fields: fields
+                        }
+                    });
+                } else if (msg.type != undefined) {
+                    _admin_websocket_functions(AUDIT_ACTIONS.includes(msg.type) ? auditSend(send, client, msg) : send, ws, msg, ID++);
+                } else {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: {
+                            message: "Unknown action"
+                        }
+                    });
+                }
+            } catch {
+                send(ws, {
+                    type: "error",
+                    payload: {
+                        message: "Invalid message format"
+                    }
+                });
+            }
+        });
+
+        ws.on("close", () => {
+            INSTANCE.clients.delete(ws);
+
+            INSTANCE.client_info.delete(ws);
+        });
+    });
+
+    if (INSTANCE.session_timer == undefined) {
+        INSTANCE.session_timer = setInterval(sweepSessions, 60 * 1000);
+    }
+
+    if (INSTANCE.heartbeat_timer == undefined) {
+        INSTANCE.heartbeat_timer = setInterval(sweepClients, HEARTBEAT_TIME);
+    }
+
+    if (INSTANCE.backup_timer == undefined) {
+        startBackupTimer();
+    }
+
+    interceptConsole();
+    // Start the Admin Panel
+    INSTANCE.admin_server.listen(PORT, () => {
+        Logger.info(`Admin Panel active on ${C_HEX.cyan}${ADMIN_URL}adminPanel${C_HEX.reset}`);
+    });
+};
+
+/**
+ * URL without the base.
+ * 
+ * @param {string|undefined} requestUrl - URL string
+ * @returns {string} string
+ */
+function get_endpoint(requestUrl = "") {
+    const parsedUrl = new URL(requestUrl, SERVER_URL);
+
+    return parsedUrl.pathname;
+};
+
+/**
+ * Function that handles all admin routing.
+ * 
+ * If the route isn't defined here, it doesn't have an endpoint.
+ * 
+ * @async
+ * @param { IncomingMessage } req - Message Request
+ * @param { res } res - Message Response
+ * @param { string } ADMIN_URL - url to endpoint
+ */
+async function _admin_route(req, res, ADMIN_URL) {
+    /**
+     * @type {Buffer[]}
+     */
+    var _body = [];
+
+    req.on('data', (chunk) => {
+        _body.push(chunk);
+    });
+
+    req.on('end', () => {
+        const body = Buffer.concat(_body);
+
+        const parsedUrl = new URL(req.url || "", ADMIN_URL);
+
+        const urlParams = parsedUrl.searchParams;
+
+        const ipAddress = req && req.socket && req.socket.remoteAddress && req.socket.remoteAddress.replace(/::ffff:/, "") || "";
+
+        const endpoint = get_endpoint(req.url);
+
+        if (/\/test$/.test(endpoint)) {
+            Logger.info("Test log");
+
+            Logger.warn("Warning log");
+
+            Logger.error("Error log");
+
+            Logger.debug("Debug log");
+
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+
+            res.end('ping');
+        } else if (/^\/api\/(login|logout|session)$/.test(endpoint)) {
+            _handle_admin_auth(req, body, endpoint, ipAddress, res);
+        } else {
+            _handle_admin_route(body, endpoint, urlParams, ipAddress, res);
+        }
+    });
+};
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {ServerResponse} res - Message Response
+ * @param {number} status - HTTP status code
+ * @param {any} data - JSON body
+ */
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+
+    res.end(JSON.stringify(data));
+};
+
+/**
+ * Handles admin panel login, logout and session checks.
+ *
+ * - `POST /api/login` with `{username, password}` returns a session token.
+ * - `POST /api/logout` with a `Bearer` token ends that session.
+ * - `GET /api/session` with a `Bearer` token returns the session if it is still valid.
+ *
+ * @param {IncomingMessage} req - Message Request
+ * @param {Buffer} body - Messge Body
+ * @param {string} endpoint - Requested endpoint
+ * @param {string} ipAddress - ip address of request
+ * @param {ServerResponse} res - Message Response
+ */
+function _handle_admin_auth(req, body, endpoint, ipAddress, res) {
+    switch (endpoint) {
+        case "/api/login":
+            {
+                if (req.method !== "POST") {
+                    sendJSON(res, 405, { message: "Method not allowed" });
+
+                    return;
+                }
+
+                var data;
+
+                try {
+                    data = JSON.parse(body.toString());
+                } catch {
+                    sendJSON(res, 400, { message: "Invalid login format" });
+
+                    return;
+                }
+                // null, numbers and lists parse fine but have no fields
+                if (data == null || typeof data != "object" || Array.isArray(data)) {
+                    sendJSON(res, 400, { message: "Invalid login format" });
+
+                    return;
+                }
+
+                const username = typeof data.username == "string" ? data.username : "";
+
+                const password = typeof data.password == "string" ? data.password : "";
+
+                const role = checkCredentials(username, password);
+
+                if (role == undefined) {
+                    Logger.warn(`${ipAddress} failed Admin Panel login as "${username}".`);
+
+                    sendJSON(res, 401, { message: "Incorrect username or password" });
+
+                    return;
+                }
+
+                const { token, session } = createSession(username, role, ipAddress);
+
+                Logger.info(`${username} logged into the Admin Panel from ${ipAddress} as ${role}.`, Logger.fields({ user: username, ip: ipAddress, role: role }));
+
+                sendJSON(res, 200, {
+                    token: token,
+                    username: session.username,
+                    role: session.role,
+                    permissions: getPermissions(session.role),
+                    expires: session.expires
+                });
+            }
+            break;
+        case "/api/logout":
+            {
+                const token = getRequestToken(req);
+
+                const session = getSession(token);
+
+                if (token != null && session != undefined) {
+                    Logger.info(`${session.username} logged out of the Admin Panel.`);
+
+                    endSession(token, "Logged out");
+                }
+
+                sendJSON(res, 200, { success: true });
+            }
+            break;
+        case "/api/session":
+            {
+                const session = getSession(getRequestToken(req));
+
+                if (session == undefined) {
+                    sendJSON(res, 401, { message: "Session expired" });
+
+                    return;
+                }
+
+                sendJSON(res, 200, {
+                    username: session.username,
+                    role: session.role,
+                    permissions: getPermissions(session.role),
+                    expires: session.expires
+                });
+            }
+            break;
+        default:
+            sendJSON(res, 404, { message: "Not Found" });
+            break;
+    }
+};
+
+/**
+ * Destructive message types that get written to the audit log.
+ *
+ * @type {string[]}
+ */
+const AUDIT_ACTIONS = [
+    "deletePlayerID",
+    "deletePlayerAccount",
+    "switchDevice",
+    "setEnvValues",
+    "restoreConfig",
+    "uninstallPatch",
+    "uninstallAsset",
+    "shutdownServer",
+    "cancelJob"
+];
+
+/**
+ * Append only audit log, one JSON entry per line.
+ */
+const AUDIT_LOG_PATH = path.join(DIR_NAME, "db", "audit.log");
+
+/**
+ * @typedef {{id: string, time: string, user: string, role: string, ip: string, action: string, payload: any, result: {success: boolean, message?: string}}} AUDIT_ENTRY
+ */
+
+/**
+ * Copy of a payload with any password values blanked out.
+ *
+ * @param {any} payload
+ */
+function redactPayload(payload) {
+    if (payload == undefined || typeof payload != "object") {
+        return payload;
+    }
+
+    /**
+     * @type {{[key: string]: any}}
+     */
+    const copy = {};
+
+    for (const key of Object.keys(payload)) {
+        copy[key] = /PASSWORD/i.test(key) ? "********" : payload[key];
+    }
+
+    return copy;
+};
+
+/**
+ * Appends an entry to the audit log.
+ *
+ * Written sync so entries still land when the action exits the process.
+ *
+ * @param {CLIENT|undefined} client user that sent the message
+ * @param {{type: string, payload: any}} msg message sent
+ * @param {{success: boolean, message?: string}} result outcome of the action
+ */
+function writeAudit(client, msg, result) {
+    /**
+     * @type {AUDIT_ENTRY}
+     */
+    const entry = {
+        id: crypto.randomUUID(),
+        time: new Date().toISOString(),
+        user: client ? client.username : "unknown",
+        role: client ? client.role : "unknown",
+        ip: client ? client.ip : "",
+        action: msg.type,
+        payload: redactPayload(msg.payload),
+        result: result
+    };
+
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+
+        fs.appendFileSync(AUDIT_LOG_PATH, JSON.stringify(entry) + "\n");
+    } catch (error) {
+        Logger.error("Couldn't write to audit log.");
+
+        Logger.error(error);
+    }
+};
+
+/**
+ * Wraps `send` so the outcome of an audited message is written to the audit log.
+ *
+ * Actions that start a job are written when the job completes.
+ *
+ * @param {(ws: WebSocket, message: any) => void} send send back to client
+ * @param {CLIENT|undefined} client user that sent the message
+ * @param {{type: string, id: number, payload: any}} msg message sent
+ * @returns {(ws: WebSocket, message: any) => void}
+ */
+function auditSend(send, client, msg) {
+    var written = false;
+
+    return (ws, message) => {
+        if (!written && message.id == msg.id) {
+            if (message.type == "error") {
+                writeAudit(client, msg, { success: false, message: message.payload.message });
+
+                written = true;
+            } else if (message.type == "jobComplete") {
+                writeAudit(client, msg, { success: !!message.payload.success, message: message.payload.status });
+
+                written = true;
+            } else if (message.type == msg.type && message.payload.jobId == undefined) {
+                writeAudit(client, msg, { success: message.payload.success != false });
+
+                written = true;
+            }
+        }
+
+        send(ws, message);
+    };
+};
+
+/**
+ * Reads the audit log, newest first.
+ *
+ * @param {{user?: string, action?: string, from?: string, to?: string}} filter
+ * @returns {AUDIT_ENTRY[]}
+ */
+function readAudit(filter = {}) {
+    if (!fileExists(AUDIT_LOG_PATH)) {
+        return [];
+    }
+
+    const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+
+    const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+
+    const user = filter.user ? filter.user.toLowerCase() : "";
+
+    /**
+     * @type {AUDIT_ENTRY[]}
+     */
+    const entries = [];
+
+    const lines = fs.readFileSync(AUDIT_LOG_PATH, "utf8").split("\n");
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (lines[i].trim() == "") {
+            continue;
+        }
+
+        try {
+            /**
+             * @type {AUDIT_ENTRY}
+             */
+            const entry = JSON.parse(lines[i]);
+
+            const time = new Date(entry.time).getTime();
+
+            if ((user == "" || entry.user.toLowerCase().includes(user)) &&
+                (!filter.action || entry.action == filter.action) &&
+                time >= from &&
+                time <= to
+            ) {
+                entries.push(entry);
+            }
+        } catch {
+            Logger.warn(`Skipped bad audit log line ${i + 1}.`);
+        }
+    }
+
+    return entries;
+};
+
+/**
+ * Jobs the server is running or ran recently, kept so any admin client can follow them.
+ *
+ * Jobs that share a resource run one at a time in the order they were asked for,
+ * the rest wait as `"queued"`.
+ *
+ * @typedef {"queued" | "running" | "paused" | "complete" | "failed" | "cancelled"} JOB_STATE
+ * @typedef {{jobId: number, type: string, owner: string, payload: any, state: JOB_STATE, task: string, status: string, progress: number, pausable: boolean, cancellable: boolean, resources: string[], ahead: number, success?: boolean, created: number, updated: number, started?: number, finished?: number}} JOB
+ * @typedef {{id: number, notify: (message: any) => void, start: (notify: boolean) => void, cancel?: () => void}} JOB_HANDLE
+ */
+
+/**
+ * @type {Map<number, JOB>}
+ */
+const JOBS = new Map();
+
+/**
+ * What's needed to reach and stop each unfinished job.
+ *
+ * `notify` goes through the starting message's `send` so audited jobs are written when they finish.
+ *
+ * @type {Map<number, JOB_HANDLE>}
+ */
+const JOB_HANDLES = new Map();
+
+/**
+ * How many finished jobs are kept for listJobs
+ */
+const MAX_FINISHED_JOBS = 50;
+
+/**
+ * Id of the job whose code is running.
+ *
+ * Follows the job's timers and promises, so log lines can be tagged with the job that wrote them.
+ *
+ * @type {AsyncLocalStorage<number>}
+ */
+const JOB_CONTEXT = new AsyncLocalStorage();
+
+/**
+ * Transcript of each job, dropped along with the job.
+ *
+ * @type {Map<number, string[]>}
+ */
+const JOB_LOGS = new Map();
+
+/**
+ * Lines kept per job, the oldest are dropped past this
+ */
+const MAX_JOB_LOG_LINES = 2000;
+
+/**
+ * Adds a timestamped line to a job's transcript.
+ *
+ * @param {number} jobId
+ * @param {string} text
+ */
+function appendJobLog(jobId, text) {
+    if (!JOBS.has(jobId)) {
+        return;
+    }
+
+    var lines = JOB_LOGS.get(jobId);
+
+    if (lines == undefined) {
+        lines = [];
+
+        JOB_LOGS.set(jobId, lines);
+    }
+
+    lines.push(`[${new Date().toISOString()}] ${text}`);
+
+    if (lines.length > MAX_JOB_LOG_LINES) {
+        lines.splice(0, lines.length - MAX_JOB_LOG_LINES);
+    }
+};
+
+/**
+ * Sends a job update to the client that started it and every other admin client.
+ *
+ * @param {JOB} job
+ * @param {"jobProgress" | "jobComplete"} type
+ */
+function notifyJob(job, type) {
+    const handle = JOB_HANDLES.get(job.jobId);
+
+    if (handle == undefined) {
+        return;
+    }
+
+    handle.notify({
+        type: type,
+        id: handle.id,
+        payload: { ...job }
+    });
+};
+
+/**
+ * Unfinished jobs asked for before this one that use any of the same resources.
+ *
+ * @param {JOB} job
+ * @returns {number}
+ */
+function jobsAhead(job) {
+    var ahead = 0;
+    // JOBS keeps the order jobs were asked for
+    for (const other of JOBS.values()) {
+        if (other == job) {
+            break;
+        }
+
+        if (other.finished == undefined && other.resources.some(resource => job.resources.includes(resource))) {
+            ahead++;
+        }
+    }
+
+    return ahead;
+};
+
+/**
+ * Starts queued jobs that are no longer waiting on anything and updates the place of the rest.
+ */
+function advanceQueue() {
+    for (const job of JOBS.values()) {
+        if (job.state != "queued") {
+            continue;
+        }
+
+        const ahead = jobsAhead(job);
+
+        if (ahead == 0) {
+            JOB_HANDLES.get(job.jobId)?.start(true);
+        } else if (ahead != job.ahead) {
+            job.ahead = ahead;
+
+            updateJob(job, `Queued, ${ahead} ahead.`, 0);
+        }
+    }
+};
+
+/**
+ * Registers a new job, starts or queues it and answers the message that started it.
+ *
+ * `run` does the work and returns a function that stops it, or nothing if the work can't be cancelled.
+ * Pausable work should skip its steps while `job.state` is `"paused"`.
+ *
+ * `resources` are what the job changes, like `"asset:GL_iOS"`. The job waits for earlier jobs
+ * using any of them, and is turned down if the same kind of job on the same resources is already waiting or running.
+ *
+ * @param {(ws: WebSocket, message: any) => void} send send back to client
+ * @param {WebSocket} ws client that started the job
+ * @param {{type: string, id: number, payload: any}} msg message that started the job
+ * @param {number} jobId job unique id
+ * @param {{task: string, status: string, pausable?: boolean, resources?: string[]}} info title, first step, if the job can be paused and what it changes
+ * @param {(job: JOB) => (() => void) | void} run
+ * @returns {JOB|undefined} `undefined` if the job was turned down
+ */
+function startJob(send, ws, msg, jobId, info, run) {
+    const client = INSTANCE.client_info.get(ws);
+
+    const resources = info.resources || [];
+
+    const duplicate = resources.length == 0 ? undefined : [...JOBS.values()].find(self =>
+        self.finished == undefined &&
+        self.type == msg.type &&
+        self.resources.length == resources.length &&
+        self.resources.every(resource => resources.includes(resource))
+    );
+
+    if (duplicate != undefined) {
+        send(ws, {
+            type: "error",
+            id: msg.id,
+            payload: { message: `Already ${duplicate.state == "queued" ? "queued" : "running"} as job ${duplicate.jobId}.` }
+        });
+
+        return undefined;
+    }
+
+    const now = Date.now();
+
+    /**
+     * @type {JOB}
+     */
+    const job = {
+        jobId: jobId,
+        type: msg.type,
+        owner: client ? client.username : "unknown",
+        payload: redactPayload(msg.payload),
+        state: "queued",
+        task: info.task,
+        status: info.status,
+        progress: 0,
+        pausable: !!info.pausable,
+        cancellable: true,
+        resources: resources,
+        ahead: 0,
+        created: now,
+        updated: now
+    };
+
+    JOBS.set(jobId, job);
+
+    /**
+     * @type {JOB_HANDLE}
+     */
+    const handle = {
+        id: msg.id,
+        notify: (message) => {
+            send(ws, message);
+
+            broadcast(message, ws);
+        },
+        start: (notify) => {
+            job.state = "running";
+
+            job.ahead = 0;
+
+            job.started = Date.now();
+
+            job.cancellable = false;
+
+            const cancel = JOB_CONTEXT.run(jobId, () => run(job));
+            // run can finish the job straight away
+            if (job.finished != undefined) {
+                return;
+            }
+
+            if (typeof cancel == "function") {
+                handle.cancel = cancel;
+
+                job.cancellable = true;
+            }
+
+            if (notify) {
+                updateJob(job, info.status, job.progress);
+            }
+        }
+    };
+
+    JOB_HANDLES.set(jobId, handle);
+
+    appendJobLog(jobId, `${info.task} Started by ${job.owner}.`);
+
+    job.ahead = jobsAhead(job);
+
+    if (job.ahead == 0) {
+        // the answer below is the first update
+        handle.start(false);
+    } else {
+        job.status = `Queued, ${job.ahead} ahead.`;
+
+        Logger.info(`Job ${jobId} (${msg.type}) queued behind ${job.ahead} other job${job.ahead == 1 ? "" : "s"}.`);
+    }
+
+    send(ws, {
+        type: msg.type,
+        id: msg.id,
+        payload: { ...job }
+    });
+    // everyone else learns about the job from its first update
+    broadcast({ type: "jobProgress", id: msg.id, payload: { ...job } }, ws);
+
+    return job;
+};
+
+/**
+ * Updates a running job's progress.
+ *
+ * @param {JOB} job
+ * @param {string} status current step
+ * @param {number} progress % of 100
+ */
+function updateJob(job, status, progress) {
+    if (status != job.status) {
+        appendJobLog(job.jobId, status);
+    }
+
+    job.status = status;
+
+    job.progress = progress;
+
+    job.updated = Date.now();
+
+    notifyJob(job, "jobProgress");
+};
+
+/**
+ * Marks a job as done and drops the oldest finished jobs over {@link MAX_FINISHED_JOBS}.
+ *
+ * @param {JOB} job
+ * @param {boolean} success
+ * @param {string} status final message
+ * @param {JOB_STATE} [state] defaults to `"complete"` or `"failed"`
+ */
+function finishJob(job, success, status, state) {
+    appendJobLog(job.jobId, status);
+
+    job.state = state || (success ? "complete" : "failed");
+
+    job.success = success;
+
+    job.status = status;
+
+    job.pausable = false;
+
+    job.cancellable = false;
+
+    if (success) {
+        job.progress = 100;
+    }
+
+    job.updated = job.finished = Date.now();
+
+    notifyJob(job, "jobComplete");
+
+    JOB_HANDLES.delete(job.jobId);
+
+    const finished = [...JOBS.values()].filter(self => self.finished != undefined);
+
+    for (let i = 0; i < finished.length - MAX_FINISHED_JOBS; i++) {
+        JOBS.delete(finished[i].jobId);
+
+        JOB_LOGS.delete(finished[i].jobId);
+    }
+
+    advanceQueue();
+};
+
+/**
+ * Pauses or resumes a job that supports it.
+ *
+ * @param {JOB} job
+ * @param {boolean} paused
+ * @param {string} username admin that asked
+ * @returns {string|undefined} why it couldn't, `undefined` if it did
+ */
+function setJobPaused(job, paused, username) {
+    if (!job.pausable) {
+        return "Job can't be paused";
+    }
+
+    if (job.state != (paused ? "running" : "paused")) {
+        return paused ? "Job isn't running" : "Job isn't paused";
+    }
+
+    job.state = paused ? "paused" : "running";
+
+    JOB_CONTEXT.run(job.jobId, () => Logger.info(`${username} ${paused ? "paused" : "resumed"} job ${job.jobId} (${job.type}).`));
+
+    updateJob(job, paused ? `Paused by ${username}.` : `Resumed by ${username}.`, job.progress);
+
+    return undefined;
+};
+
+/**
+ * Stops an unfinished job.
+ *
+ * @param {JOB} job
+ * @param {string} username admin that asked
+ * @returns {string|undefined} why it couldn't, `undefined` if it did
+ */
+function cancelJob(job, username) {
+    const handle = JOB_HANDLES.get(job.jobId);
+
+    if (handle == undefined) {
+        return "Job already finished";
+    }
+
+    if (job.state != "queued") {
+        if (handle.cancel == undefined) {
+            return "Job can't be cancelled";
+        }
+
+        handle.cancel();
+    }
+
+    JOB_CONTEXT.run(job.jobId, () => Logger.warn(`${username} cancelled job ${job.jobId} (${job.type}).`));
+
+    finishJob(job, false, `Cancelled by ${username}.`, "cancelled");
+
+    return undefined;
+};
+
+/**
+ * Check if a file exist.
+ * 
+ * @param {string} filePath - Path to file to check.
+ * @returns {boolean} if exists
+ */
+function fileExists(filePath) {
+    try {
+        fs.accessSync(filePath, fs.constants.F_OK);
+
+        return true;  // File exists
+    } catch (error) {
+        // @ts-ignore
+        if (error.code === 'ENOENT') {
+            return false;  // File does not exist
+        } else {
+            Logger.error(error); // Other errors
+
+            return false;
+        }
+    }
+};
+
+/**
+ * Function for serving the admin website data.
+ * 
+ * @param {Buffer} body - Messge Body
+ * @param {string} file - Requested File
+ * @param {URLSearchParams} urlParams - URL Params
+ * @param {string|undefined} ipAddress - ip address of request
+ * @param {ServerResponse} res - Message Response
+ */
+function _handle_admin_route(body, file, urlParams, ipAddress = "", res) {
+    const isFile = /^.+\.(css|js|jpg|jpeg|gif|png|ico|gz|svg|svgz|ttf|otf|woff|woff2|eot|mp4|ogg|ogv|webm|webp|zip|swf)$/;
+    // get endpoint requested file
+    if (!isFile.test(file)) {
+        file = 'index.html';
+    }
+    // Construct the path to the file in the adminPanel folder
+    const indexPath = path.join(DIR_NAME, "dist", file);
+
+    if (!fileExists(indexPath)) {
+        Logger.error(`Asset missing for admin page: ${indexPath}`);
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+
+        res.end("Not Found");
+
+        return;
+    }
+    // Read the content of the file
+    fs.readFile(indexPath, (err, data) => {
+        if (err) {
+            Logger.error(`Asset missing for admin page: ${indexPath}`);
+
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+
+            res.end("Not Found");
+        } else {
+            var mime;
+
+            switch (path.extname(indexPath)) {
+                case ".txt":
+                    mime = 'text/plain';
+                    break;
+                case ".json":
+                    mime = 'application/json';
+                    break;
+                case ".js":
+                    mime = 'text/javascript';
+                    break;
+                case ".jsx":
+                    mime = 'text/javascript';
+                    break;
+                case ".css":
+                    mime = 'text/css';
+                    break;
+                case ".html":
+                    mime = 'text/html';
+                    break;
+                case ".ico":
+                    mime = "image/x-icon";
+                    break;
+                default:
+                    mime = 'text/plain';
+                    break;
+            }
+
+            res.setHeader("Content-Type", mime);
+
+            res.end(data);
+        }
+    });
+};
+
+/**
+ * .env file the settings are saved to, the mock keeps it with its other data.
+ */
+const ENV_FILE_PATH = path.join(DIR_NAME, "db", ".env");
+
+CURRENT_CONST_VALUES.ENV_FILE_PATH = ENV_FILE_PATH;
+
+/**
+ * @typedef {{raw: string, key?: string, value?: string}} ENV_LINE
+ */
+
+/**
+ * Value of a .env line without its quotes.
+ * 
+ * @param {string} text
+ */
+function unquoteEnvValue(text) {
+    const value = text.trim();
+
+    if (value.length >= 2 && value[0] == '"' && value[value.length - 1] == '"') {
+        return value.slice(1, -1).replace(/\\(["\\])/g, "$1");
+    }
+
+    if (value.length >= 2 && value[0] == "'" && value[value.length - 1] == "'") {
+        return value.slice(1, -1);
+    }
+
+    return value;
+};
+
+/**
+ * .env line for a key, quoted only when the value would read back differently.
+ * 
+ * @param {string} key
+ * @param {string} value
+ */
+function formatEnvLine(key, value) {
+    if (value != value.trim() || /^["';#]/.test(value)) {
+        return `${key}="${value.replace(/(["\\])/g, "\\$1")}"`;
+    }
+
+    return `${key}=${value}`;
+};
+
+/**
+ * Splits .env text into lines, keeping comments, blank lines and unknown keys as they are.
+ * 
+ * @param {string} text
+ * @returns {ENV_LINE[]}
+ */
+function parseEnvFile(text) {
+    return text.split(/\r?\n/).map(raw => {
+        const match = raw.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+
+        if (match == null) {
+            return { raw: raw };
+        }
+
+        return { raw: raw, key: match[1], value: unquoteEnvValue(match[2]) };
+    });
+};
+
+/**
+ * .env text made from DEFAULT_ENV_VALUES, each key under its description.
+ */
+function defaultEnvText() {
+    return CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES
+        .map(el => `${el.desc}\n${formatEnvLine(el.key, el.value)}\n`)
+        .join("\n");
+};
+
+/**
+ * Writes a file through a temp file and rename, so a crash never leaves it half written.
+ * 
+ * @param {string} filePath
+ * @param {string} text
+ */
+function writeFileAtomic(filePath, text) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+        fs.writeFileSync(tempPath, text);
+
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+
+        throw error;
+    }
+};
+
+/**
+ * Reads the .env file, making it from the defaults if there isn't one.
+ * 
+ * @returns {{lines: ENV_LINE[], eol: string}} lines and the line ending the file uses
+ */
+function readEnvFile() {
+    if (!fs.existsSync(ENV_FILE_PATH)) {
+        writeFileAtomic(ENV_FILE_PATH, defaultEnvText());
+
+        Logger.info(`Created .env file with default values at ${ENV_FILE_PATH}`);
+    }
+
+    const text = fs.readFileSync(ENV_FILE_PATH, "utf8");
+
+    return { lines: parseEnvFile(text), eol: text.includes("\r\n") ? "\r\n" : "\n" };
+};
+
+/**
+ * .env text as the type CURRENT_ENV_VALUES keeps for the key.
+ * 
+ * @param {string} key
+ * @param {string} value
+ */
+function envValue(key, value) {
+    // @ts-ignore
+    const current = CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[key];
+
+    if (typeof current == "number") {
+        return Number(value);
+    }
+
+    if (typeof current == "boolean") {
+        return value == "true";
+    }
+
+    return value;
+};
+
+/**
+ * Loads the .env file into CURRENT_ENV_VALUES.
+ */
+function loadEnvFile() {
+    try {
+        const { lines } = readEnvFile();
+
+        for (const line of lines) {
+            if (line.key != undefined && line.value != undefined && line.key in CURRENT_CONST_VALUES.CURRENT_ENV_VALUES) {
+                // @ts-ignore
+                CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[line.key] = envValue(line.key, line.value);
+            }
+        }
+    } catch (error) {
+        Logger.error(`Couldn't read .env file ${ENV_FILE_PATH}, using built in values.`);
+
+        Logger.error(error);
+    }
+};
+
+/**
+ * Saves values to the .env file.
+ * 
+ * Known lines are changed in place. Missing keys go at the end under their default description.
+ * Everything else is kept as it was.
+ * 
+ * @param {{[key: string]: string}} values
+ */
+function writeEnvValues(values) {
+    const { lines, eol } = readEnvFile();
+
+    for (const key of Object.keys(values)) {
+        const value = `${values[key]}`;
+
+        // the last one is what gets loaded
+        const index = lines.findLastIndex(line => line.key == key);
+
+        if (index != -1) {
+            lines[index] = { raw: formatEnvLine(key, value), key: key, value: value };
+
+            continue;
+        }
+        // drop trailing blank lines so the new block sits one line under the last one
+        while (lines.length != 0 && lines[lines.length - 1].raw.trim() == "") {
+            lines.pop();
+        }
+
+        const defaults = envField(key);
+
+        if (lines.length != 0) {
+            lines.push({ raw: "" });
+        }
+
+        if (defaults != undefined) {
+            defaults.desc.split("\n").forEach(raw => lines.push({ raw: raw }));
+        }
+
+        lines.push({ raw: formatEnvLine(key, value), key: key, value: value });
+
+        lines.push({ raw: "" });
+    }
+
+    writeFileAtomic(ENV_FILE_PATH, lines.map(line => line.raw).join(eol));
+};
+
+/**
+ * DEFAULT_ENV_VALUES entry for a key.
+ * 
+ * @param {string} key
+ */
+function envField(key) {
+    return CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES.find(el => el.key == key);
+};
+
+/**
+ * Shown in place of a secret value that is set
+ */
+const SECRET_MASK = "*****";
+
+/**
+ * Copy of .env values with the secret ones blanked.
+ * 
+ * @template {{[key: string]: any}} T
+ * @param {T} values
+ * @returns {T}
+ */
+function hideSecrets(values) {
+    const copy = { ...values };
+
+    CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES.forEach(field => {
+        if (field.secret && field.key in copy) {
+            // @ts-ignore
+            copy[field.key] = "";
+        }
     });
 
-    interceptConsole();
-    // Start the Admin Panel
-    INSTANCE.admin_server.listen(PORT, () => {
-        Logger.info(`Admin Panel active on ${C_HEX.cyan}${ADMIN_URL}adminPanel${C_HEX.reset}`);
-    });
+    return copy;
 };
 
 /**
- * URL without the base.
+ * Puts each setting without `restart` into effect, after CURRENT_ENV_VALUES has its new value.
  * 
- * @param {string|undefined} requestUrl - URL string
- * @returns {string} string
+ * @type {{[key: string]: () => void}}
  */
-function get_endpoint(requestUrl = "") {
-    const parsedUrl = new URL(requestUrl, SERVER_URL);
-
-    return parsedUrl.pathname;
+const ENV_APPLY = {
+    LOG_LEVEL: () => Logger.setLevel(CURRENT_CONST_VALUES.CURRENT_ENV_VALUES.LOG_LEVEL),
+    BACKUP: () => startBackupTimer(),
+    // logins read these when they happen, sessions from the old login end
+    ADMIN_USERNAME: () => endOwnerSessions("Admin username changed"),
+    ADMIN_PASSWORD: () => endOwnerSessions("Admin password changed")
 };
 
 /**
- * Function that handles all admin routing.
+ * Updates or insert environment variable in .env file.
  * 
- * If the route isn't defined here, it doesn't have an endpoint.
+ * Settings without `restart` are applied right away.
  * 
- * @async
- * @param { IncomingMessage } req - Message Request
- * @param { res } res - Message Response
- * @param { string } ADMIN_URL - url to endpoint
+ * @example
+ * ```js
+ * updateEnvVariable({"API_KEY": "new-secret-key"});
+ * ```
+ * 
+ * @param {{[key: string]: string}} updateValues - key and value to change
+ * @returns {string[]} keys that changed, empty when nothing did
+ * @throws if the .env file can't be written
  */
-async function _admin_route(req, res, ADMIN_URL) {
-    /**
-     * @type {Buffer[]}
-     */
-    var _body = [];
+function updateEnvVariable(updateValues) {
+    const keys = Object.keys(updateValues);
 
-    req.on('data', (chunk) => {
-        _body.push(chunk);
-    });
+    const updatedValues = [];
 
-    req.on('end', () => {
-        const body = Buffer.concat(_body);
+    for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
 
-        const parsedUrl = new URL(req.url || "", ADMIN_URL);
+        const value = updateValues[key];
+        // compared as text, like the .env stores them
+        // @ts-ignore
+        if (`${CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[key]}` != `${value}`) {
+            updatedValues.push({ key: key, value: value });
+        }
+    }
 
-        const urlParams = parsedUrl.searchParams;
+    if (updatedValues.length == 0) {
+        return [];
+    }
+    // saved first, so a failed write leaves the running values alone
+    writeEnvValues(Object.fromEntries(updatedValues.map(el => [el.key, el.value])));
 
-        const ipAddress = req && req.socket && req.socket.remoteAddress && req.socket.remoteAddress.replace(/::ffff:/, "") || "";
+    for (let i = 0; i < updatedValues.length; i++) {
+        const el = updatedValues[i];
+        // @ts-ignore
+        CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[el.key] = envValue(el.key, el.value);
+    }
 
-        const endpoint = get_endpoint(req.url);
+    Logger.info(`Updated .env values:`);
 
-        if (/\/test$/.test(endpoint)) {
-            Logger.info("Test log");
+    for (let i = 0; i < updatedValues.length; i++) {
+        const el = updatedValues[i];
 
-            Logger.warn("Warning log");
+        Logger.info(`     ${el.key}="${envField(el.key)?.secret ? SECRET_MASK : el.value}"`);
+    }
 
-            Logger.error("Error log");
+    for (let i = 0; i < updatedValues.length; i++) {
+        const el = updatedValues[i];
 
-            Logger.debug("Debug log");
+        const field = envField(el.key);
 
-            res.writeHead(200, { 'Content-Type': 'text/plain' });
+        if (field == undefined || field.restart || ENV_APPLY[el.key] == undefined) {
+            continue;
+        }
 
-            res.end('ping');
-        } else {
-            _handle_admin_route(body, endpoint, urlParams, ipAddress, res);
+        try {
+            ENV_APPLY[el.key]();
+            // running value, other code reads these too
+            if (el.key in CURRENT_CONST_VALUES) {
+                // @ts-ignore
+                CURRENT_CONST_VALUES[el.key] = CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[el.key];
+            }
+
+            Logger.debug(`Applied ${el.key} without a restart.`);
+        } catch (error) {
+            Logger.error(`Couldn't apply ${el.key}, it takes effect on restart.`);
+
+            Logger.error(error);
         }
-    });
+    }
+
+    if (updatedValues.some(el => envField(el.key)?.restart)) {
+        Logger.info(`Please restart server for changes to take affect.`);
+    }
+
+    return updatedValues.map(el => el.key);
 };
 
 /**
- * Check if a file exist.
- * 
- * @param {string} filePath - Path to file to check.
- * @returns {boolean} if exists
+ * Append only history of saved settings, one JSON version per line.
  */
-function fileExists(filePath) {
-    try {
-        fs.accessSync(filePath, fs.constants.F_OK);
+const CONFIG_HISTORY_PATH = path.join(DIR_NAME, "db", "config_history.log");
 
-        return true;  // File exists
-    } catch (error) {
-        // @ts-ignore
-        if (error.code === 'ENOENT') {
-            return false;  // File does not exist
-        } else {
-            Logger.error(error); // Other errors
+/**
+ * @typedef {{key: string, from: string, to: string, secret?: boolean}} CONFIG_CHANGE
+ * @typedef {{version: number, time: string, user: string, values: {[key: string]: string}, changes: CONFIG_CHANGE[], restoredFrom?: number}} CONFIG_VERSION
+ */
 
-            return false;
-        }
-    }
+/**
+ * Every setting as the text the .env keeps.
+ * 
+ * @returns {{[key: string]: string}}
+ */
+function envSnapshot() {
+    // @ts-ignore
+    return Object.fromEntries(CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES.map(field => [field.key, `${CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[field.key]}`]));
 };
 
 /**
- * Function for serving the admin website data.
+ * Reads the config history, oldest first.
  * 
- * @param {Buffer} body - Messge Body
- * @param {string} file - Requested File
- * @param {URLSearchParams} urlParams - URL Params
- * @param {string|undefined} ipAddress - ip address of request
- * @param {ServerResponse} res - Message Response
+ * @returns {CONFIG_VERSION[]}
  */
-function _handle_admin_route(body, file, urlParams, ipAddress = "", res) {
-    const isFile = /^.+\.(css|js|jpg|jpeg|gif|png|ico|gz|svg|svgz|ttf|otf|woff|woff2|eot|mp4|ogg|ogv|webm|webp|zip|swf)$/;
-    // get endpoint requested file
-    if (!isFile.test(file)) {
-        file = 'index.html';
+function readConfigHistory() {
+    if (!fileExists(CONFIG_HISTORY_PATH)) {
+        return [];
     }
-    // Construct the path to the file in the adminPanel folder
-    const indexPath = path.join(DIR_NAME, "dist", file);
 
-    if (!fileExists(indexPath)) {
-        Logger.error(`Asset missing for admin page: ${indexPath}`);
+    /**
+     * @type {CONFIG_VERSION[]}
+     */
+    const versions = [];
 
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
+    const lines = fs.readFileSync(CONFIG_HISTORY_PATH, "utf8").split("\n");
 
-        res.end("Not Found");
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() == "") {
+            continue;
+        }
 
-        return;
+        try {
+            versions.push(JSON.parse(lines[i]));
+        } catch {
+            Logger.warn(`Skipped bad config history line ${i + 1}.`);
+        }
     }
-    // Read the content of the file
-    fs.readFile(indexPath, (err, data) => {
-        if (err) {
-            Logger.error(`Asset missing for admin page: ${indexPath}`);
-
-            res.writeHead(500, { 'Content-Type': 'text/plain' });
-
-            res.end("Not Found");
-        } else {
-            var mime;
-
-            switch (path.extname(indexPath)) {
-                case ".txt":
-                    mime = 'text/plain';
-                    break;
-                case ".json":
-                    mime = 'application/json';
-                    break;
-                case ".js":
-                    mime = 'text/javascript';
-                    break;
-                case ".jsx":
-                    mime = 'text/javascript';
-                    break;
-                case ".css":
-                    mime = 'text/css';
-                    break;
-                case ".html":
-                    mime = 'text/html';
-                    break;
-                case ".ico":
-                    mime = "image/x-icon";
-                    break;
-                default:
-                    mime = 'text/plain';
-                    break;
-            }
-
-            res.setHeader("Content-Type", mime);
 
-            res.end(data);
-        }
-    });
+    return versions;
 };
 
 /**
- * Updates or insert environment variable in .env file.
+ * Adds the running settings to the config history as a new version.
  * 
- * @example
- * ```js
- * updateEnvVariable({"API_KEY": "new-secret-key"});
- * ```
+ * The first save also writes the values from before it, so there's always a version to go back to.
+ * Secret values are never written, a change to one is only flagged.
  * 
- * @param {{[key: string]: string}} updateValues - key and value to change
+ * @param {{[key: string]: string}} before {@link envSnapshot} from before the save
+ * @param {CLIENT|undefined} client user that saved
+ * @param {number} [restoredFrom] version that was restored
+ * @returns {number} new version number
  */
-function updateEnvVariable(updateValues) {
-    const keys = Object.keys(updateValues);
+function writeConfigVersion(before, client, restoredFrom) {
+    const history = readConfigHistory();
 
-    var updated = false;
+    const time = new Date().toISOString();
 
-    const updatedValues = [];
+    const after = envSnapshot();
 
-    for (let i = 0; i < keys.length; i++) {
-        const key = keys[i];
+    /**
+     * @type {CONFIG_VERSION[]}
+     */
+    const versions = [];
 
-        const value = updateValues[key];
-        // @ts-ignore
-        if (CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[key] != value) {
-            // @ts-ignore
-            CURRENT_CONST_VALUES.CURRENT_ENV_VALUES[key] = value;
+    var version = history.length == 0 ? 0 : history[history.length - 1].version;
 
-            updatedValues.push({ key: key, value: value });
+    if (history.length == 0) {
+        versions.push({ version: ++version, time: time, user: "server", values: hideSecrets(before), changes: [] });
+    }
 
-            updated = true;
-        }
+    versions.push({
+        version: ++version,
+        time: time,
+        user: client ? client.username : "unknown",
+        values: hideSecrets(after),
+        changes: Object.keys(after)
+            .filter(key => before[key] != after[key])
+            .map(key => envField(key)?.secret ?
+                { key: key, from: "", to: "", secret: true } :
+                { key: key, from: before[key], to: after[key] }
+            ),
+        restoredFrom: restoredFrom
+    });
+
+    try {
+        fs.mkdirSync(path.dirname(CONFIG_HISTORY_PATH), { recursive: true });
+
+        fs.appendFileSync(CONFIG_HISTORY_PATH, versions.map(self => JSON.stringify(self) + "\n").join(""));
+    } catch (error) {
+        Logger.error("Couldn't write to config history.");
+
+        Logger.error(error);
     }
 
-    if (updated) {
-        Logger.info(`Updated .env values:`);
+    return version;
+};
 
-        for (let i = 0; i < updatedValues.length; i++) {
-            const el = updatedValues[i];
+/**
+ * Config version for a panel.
+ * 
+ * Secrets are blanked again, in case the file has them from before they were left out.
+ * 
+ * @param {CONFIG_VERSION} entry
+ * @param {{[key: string]: string}} current {@link envSnapshot} to compare with
+ * @returns {CONFIG_VERSION & {differs: string[]}} `differs` lists keys not matching the running values, secrets aren't compared
+ */
+function configVersionView(entry, current) {
+    return {
+        ...entry,
+        values: hideSecrets(entry.values),
+        changes: entry.changes.map(change => envField(change.key)?.secret ? { key: change.key, from: "", to: "", secret: true } : change),
+        differs: Object.keys(entry.values).filter(key => key in current && !envField(key)?.secret && entry.values[key] != current[key])
+    };
+};
 
-            Logger.info(`     ${el.key}="${el.value}"`);
-        }
+/**
+ * Saves settings, adds a config version and tells every panel.
+ * 
+ * @param {{[key: string]: string}} values checked against ENV_FIELDS
+ * @param {CLIENT|undefined} client user that saved
+ * @param {number} [restoredFrom] version being restored
+ * @returns {{changed: string[], restart: boolean, version?: number}}
+ * @throws if the .env file can't be written
+ */
+function saveEnvValues(values, client, restoredFrom) {
+    const before = envSnapshot();
 
-        Logger.info(`Please restart server for changes to take affect.`);
+    const changed = updateEnvVariable(values);
 
-        return true;
+    if (changed.length == 0) {
+        return { changed: changed, restart: false };
     }
 
-    return false;
+    const restart = changed.some(key => envField(key)?.restart);
+
+    const version = writeConfigVersion(before, client, restoredFrom);
+    // every panel, the one that saved included
+    broadcast({
+        type: "configChanged",
+        id: 0,
+        payload: {
+            keys: changed,
+            restart: restart,
+            user: client == undefined ? "" : client.username,
+            values: hideSecrets(CURRENT_CONST_VALUES.CURRENT_ENV_VALUES),
+            version: version
+        }
+    });
+
+    return { changed: changed, restart: restart, version: version };
 };
 
 /**
@@ -976,7 +3379,7 @@ async function restart(closeAdmin = false) {
             }
         });
 
-        //INSTANCE.sessions?.clear();
+        INSTANCE.sessions.clear();
 
         for (const ws of INSTANCE.clients) {
             ws.close();
@@ -1357,54 +3760,37 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                         payload: { message: "Unknown asset" }
                     });
                 } else {
-                    send(ws, {
-                        type: "installAsset",
-                        id: msg.id,
-                        payload: {
-                            jobId: jobId,
-                            status: "Starting asset install.",
-                            progress: 0
-                        }
-                    });
-                }
-                // faked here for now
-                let percent = 0;
+                    startJob(send, ws, msg, jobId, { task: "Installing asset.", status: "Starting asset install.", pausable: true, resources: [`asset:${asset}`] }, (job) => {
+                        // faked here for now
+                        let percent = 0;
 
-                var supper = "super"
+                        var supper = "super"
 
-                const interval = setInterval(() => {
-                    percent += 10;
+                        const interval = setInterval(() => {
+                            if (job.state == "paused") {
+                                return;
+                            }
 
-                    send(ws, {
-                        type: "jobProgress",
-                        id: msg.id,
-                        payload: {
-                            jobId,
-                            task: "Installing asset.",
-                            status: `Processing but with a ${supper} long string...`,
-                            progress: percent
-                        }
-                    });
+                            percent += 10;
 
-                    supper += " super";
+                            updateJob(job, `Processing but with a ${supper} long string...`, percent);
 
-                    if (percent >= 100) {
-                        clearInterval(interval);
+                            supper += " super";
 
-                        serverDB.assets[msg.payload.version][msg.payload.os] = "hash_string";
+                            if (percent >= 100) {
+                                clearInterval(interval);
 
-                        send(ws, {
-                            type: "jobComplete",
-                            id: msg.id,
-                            payload: {
-                                jobId,
-                                task: "Installing asset.",
-                                status: "Asset install complete!",
-                                success: true
+                                serverDB.assets[msg.payload.version][msg.payload.os] = "hash_string";
+
+                                Logger.info(`Installed ${msg.payload.version} ${msg.payload.os} asset package.`);
+
+                                finishJob(job, true, "Asset install complete!");
                             }
-                        });
-                    }
-                }, 500);
+                        }, 500);
+
+                        return () => clearInterval(interval);
+                    });
+                }
             }
             break;
         case "uninstallAsset":
@@ -1421,53 +3807,32 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                         payload: { message: "Unknown asset" }
                     });
                 } else {
-                    send(ws, {
-                        type: "uninstallAsset",
-                        id: msg.id,
-                        payload: {
-                            jobId: jobId,
-                            status: "Starting asset uninstall.",
-                            progress: 0
-                        }
-                    });
-                    // faked here for now
-                    let percent = 0;
+                    startJob(send, ws, msg, jobId, { task: "Uninstalling asset.", status: "Starting asset uninstall.", resources: [`asset:${asset}`] }, (job) => {
+                        // faked here for now
+                        let percent = 0;
 
-                    let supper = "super";
+                        let supper = "super";
 
-                    const interval = setInterval(() => {
-                        percent += 10;
+                        const interval = setInterval(() => {
+                            percent += 10;
 
-                        send(ws, {
-                            type: "jobProgress",
-                            id: msg.id,
-                            payload: {
-                                jobId,
-                                task: "Uninstalling asset.",
-                                status: `Processing but with a ${supper} long string...`,
-                                progress: percent
-                            }
-                        });
+                            updateJob(job, `Processing but with a ${supper} long string...`, percent);
 
-                        supper += " super";
+                            supper += " super";
 
-                        if (percent >= 100) {
-                            clearInterval(interval);
+                            if (percent >= 100) {
+                                clearInterval(interval);
 
-                            delete serverDB.assets[msg.payload.version][msg.payload.os];
-
-                            send(ws, {
-                                type: "jobComplete",
-                                id: msg.id,
-                                payload: {
-                                    jobId,
-                                    task: "Uninstalling asset.",
-                                    status: "Asset uninstall complete!",
-                                    success: true
-                                }
-                            });
-                        }
-                    }, 500);
+                                delete serverDB.assets[msg.payload.version][msg.payload.os];
+
+                                Logger.info(`Uninstalled ${msg.payload.version} ${msg.payload.os} asset package.`);
+
+                                finishJob(job, true, "Asset uninstall complete!");
+                            }
+                        }, 500);
+
+                        return () => clearInterval(interval);
+                    });
                 }
             }
             break;
@@ -1487,66 +3852,46 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                     break;
                 }
 
-                send(ws, {
-                    type: "installPatch",
-                    id: msg.id,
-                    payload: {
-                        jobId: jobId,
-                        status: "Starting patch install.",
-                        progress: 0
-                    }
-                });
-                // faked here for now
-                let percent = 0;
+                // patches go in one at a time, in the order asked for
+                startJob(send, ws, msg, jobId, { task: "Installing patch.", status: "Starting patch install.", resources: ["patches", `patch:${patch.name}`] }, (job) => {
+                    // faked here for now
+                    let percent = 0;
 
-                const interval = setInterval(() => {
-                    percent += 10;
+                    const interval = setInterval(() => {
+                        percent += 10;
 
-                    send(ws, {
-                        type: "jobProgress",
-                        id: msg.id,
-                        payload: {
-                            jobId,
-                            task: "Installing patch.",
-                            status: "Processing...",
-                            progress: percent
-                        }
-                    });
+                        updateJob(job, "Processing...", percent);
 
-                    if (percent >= 100) {
-                        clearInterval(interval);
-
-                        const installed = {
-                            name: patch.name,
-                            patch_version: patch.patch_version,
-                            game_version: patch.game_version,
-                            requires: patch.requires,
-                            conflicts: patch.conflicts,
-                            hasAssets: true,
-                            hasConfigs: true,
-                            hash: patch.hash
-                        };
-
-                        const index = serverDB.patches.findIndex(self => self.name == patch.name);
-
-                        if (index == -1) {
-                            serverDB.patches.push(installed);
-                        } else {
-                            serverDB.patches[index] = installed;
-                        }
+                        if (percent >= 100) {
+                            clearInterval(interval);
 
-                        send(ws, {
-                            type: "jobComplete",
-                            id: msg.id,
-                            payload: {
-                                jobId,
-                                task: "Installing patch.",
-                                status: "Patch install complete!",
-                                success: true
+                            const installed = {
+                                name: patch.name,
+                                patch_version: patch.patch_version,
+                                game_version: patch.game_version,
+                                requires: patch.requires,
+                                conflicts: patch.conflicts,
+                                hasAssets: true,
+                                hasConfigs: true,
+                                hash: patch.hash
+                            };
+
+                            const index = serverDB.patches.findIndex(self => self.name == patch.name);
+
+                            if (index == -1) {
+                                serverDB.patches.push(installed);
+                            } else {
+                                serverDB.patches[index] = installed;
                             }
-                        });
-                    }
-                }, 500);
+
+                            Logger.info(`Installed patch ${patch.name} v${patch.patch_version}.`);
+
+                            finishJob(job, true, "Patch install complete!");
+                        }
+                    }, 500);
+                    // nothing is written until the last step
+                    return () => clearInterval(interval);
+                });
             }
             break;
         case "uninstallPatch":
@@ -1565,53 +3910,40 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                     break;
                 }
 
-                send(ws, {
-                    type: "uninstallPatch",
-                    id: msg.id,
-                    payload: {
-                        jobId: jobId,
-                        status: "Starting patch uninstall.",
-                        progress: 0
+                startJob(send, ws, msg, jobId, { task: "Uninstalling patch.", status: "Starting patch uninstall.", resources: ["patches", `patch:${msg.payload.patch}`] }, (job) => {
+                    // may have been uninstalled while this waited in the queue
+                    if (serverDB.patches.findIndex(self => self.name == msg.payload.patch) == -1) {
+                        Logger.error(`Patch is not installed: ` + msg.payload.patch);
+
+                        finishJob(job, false, "Patch is not installed");
+
+                        return;
                     }
-                });
-                // faked here for now
-                let percent = 0;
+                    // faked here for now
+                    let percent = 0;
 
-                const interval = setInterval(() => {
-                    percent += 10;
+                    const interval = setInterval(() => {
+                        percent += 10;
 
-                    send(ws, {
-                        type: "jobProgress",
-                        id: msg.id,
-                        payload: {
-                            jobId,
-                            task: "Uninstalling patch.",
-                            status: "Processing...",
-                            progress: percent
-                        }
-                    });
+                        updateJob(job, "Processing...", percent);
+
+                        if (percent >= 100) {
+                            clearInterval(interval);
 
-                    if (percent >= 100) {
-                        clearInterval(interval);
+                            const removeIndex = serverDB.patches.findIndex(self => self.name == msg.payload.patch);
 
-                        const removeIndex = serverDB.patches.findIndex(self => self.name == msg.payload.patch);
+                            if (removeIndex != -1) {
+                                serverDB.patches.splice(removeIndex, 1);
+                            }
+
+                            Logger.info(`Uninstalled patch ${msg.payload.patch}.`);
 
-                        if (removeIndex != -1) {
-                            serverDB.patches.splice(removeIndex, 1);
+                            finishJob(job, true, "Patch uninstall complete!");
                         }
+                    }, 500);
 
-                        send(ws, {
-                            type: "jobComplete",
-                            id: msg.id,
-                            payload: {
-                                jobId,
-                                task: "Uninstalling patch.",
-                                status: "Patch uninstall complete!",
-                                success: true
-                            }
-                        });
-                    }
-                }, 500);
+                    return () => clearInterval(interval);
+                });
             }
             break;
         case "deletePlayerAccount":
@@ -1646,6 +3978,8 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                                 message: "Can't delete dummy account."
                             }
                         });
+
+                        return;
                     }
 
                     PLAYER_ACCOUNTS.splice(index, 1);
@@ -1744,6 +4078,48 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                 }
             }
             break;
+        case "hello":
+            {
+                const types = msg.payload.types;
+
+                const capabilities = Object.keys(COMMAND_ROLES);
+                // message types the panel uses that this server doesn't know
+                const missing = types.filter(type => !capabilities.includes(type));
+
+                const protocolOk = msg.payload.protocol == PROTOCOL_VERSION;
+
+                const versionOk = PANEL_VERSION == undefined || msg.payload.version == PANEL_VERSION;
+
+                if (!protocolOk || !versionOk || missing.length != 0) {
+                    Logger.warn(`Admin Panel v${msg.payload.version} (protocol ${msg.payload.protocol}) is out of date, needs v${PANEL_VERSION} (protocol ${PROTOCOL_VERSION}).`);
+                }
+
+                send(ws, {
+                    type: "hello",
+                    id: msg.id,
+                    payload: {
+                        server_version: CURRENT_CONST_VALUES.SERVER_VERSION,
+                        panel_version: PANEL_VERSION || "",
+                        protocol: PROTOCOL_VERSION,
+                        capabilities: capabilities,
+                        missing: missing,
+                        compatible: protocolOk && versionOk && missing.length == 0
+                    }
+                });
+            }
+            break;
+        case "ping":
+            {
+                send(ws, {
+                    type: "ping",
+                    id: msg.id,
+                    payload: {
+                        time: msg.payload.time,
+                        server_time: Date.now()
+                    }
+                });
+            }
+            break;
         case "timeRequest":
             {
                 send(ws, {
@@ -1812,7 +4188,11 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                 send(ws, {
                     type: "getEnvValues",
                     id: msg.id,
-                    payload: CURRENT_CONST_VALUES.CURRENT_ENV_VALUES
+                    payload: {
+                        // secrets are only ever set, never sent back
+                        values: hideSecrets(CURRENT_CONST_VALUES.CURRENT_ENV_VALUES),
+                        schema: CURRENT_CONST_VALUES.DEFAULT_ENV_VALUES
+                    }
                 });
             }
             break;
@@ -1827,13 +4207,107 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                         }
                     });
                 } else {
-                    const success = updateEnvVariable(msg.payload);
+                    try {
+                        const result = saveEnvValues(msg.payload, INSTANCE.client_info.get(ws));
+
+                        send(ws, {
+                            type: "setEnvValues",
+                            id: msg.id,
+                            payload: {
+                                success: result.changed.length != 0,
+                                restart: result.restart,
+                                version: result.version
+                            }
+                        });
+                    } catch (error) {
+                        Logger.error(`Couldn't save .env file ${ENV_FILE_PATH}`);
+
+                        Logger.error(error);
+
+                        send(ws, {
+                            type: "error",
+                            id: msg.id,
+                            payload: {
+                                message: "Couldn't save the .env file."
+                            }
+                        });
+                    }
+                }
+            }
+            break;
+        case "getConfigHistory":
+            {
+                const current = envSnapshot();
+
+                send(ws, {
+                    type: "getConfigHistory",
+                    id: msg.id,
+                    payload: {
+                        versions: readConfigHistory().reverse().map(entry => configVersionView(entry, current))
+                    }
+                });
+            }
+            break;
+        case "restoreConfig":
+            {
+                const entry = readConfigHistory().find(self => self.version == msg.payload.version);
+
+                if (entry == undefined) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: {
+                            message: "Unknown version"
+                        }
+                    });
+
+                    break;
+                }
+                // only settings this server still has, checked like a setEnvValues. Secrets aren't kept, so they stay as they are
+                const restore = {
+                    type: "setEnvValues",
+                    payload: Object.fromEntries(Object.keys(entry.values)
+                        .filter(key => key in ENV_FIELDS && !envField(key)?.secret)
+                        .map(key => [key, entry.values[key]]))
+                };
+
+                const fields = validateRequest(restore);
+
+                if (fields != undefined) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: {
+                            message: `Version ${entry.version} can't be restored: ` + Object.keys(fields).map(key => `${key}: ${fields[key]}`).join(" "),
+                            fields: fields
+                        }
+                    });
+
+                    break;
+                }
+
+                try {
+                    const result = saveEnvValues(restore.payload, INSTANCE.client_info.get(ws), entry.version);
+
+                    send(ws, {
+                        type: "restoreConfig",
+                        id: msg.id,
+                        payload: {
+                            success: result.changed.length != 0,
+                            restart: result.restart,
+                            version: result.version
+                        }
+                    });
+                } catch (error) {
+                    Logger.error(`Couldn't save .env file ${ENV_FILE_PATH}`);
+
+                    Logger.error(error);
 
                     send(ws, {
-                        type: "setEnvValues",
+                        type: "error",
                         id: msg.id,
                         payload: {
-                            success: success
+                            message: "Couldn't save the .env file."
                         }
                     });
                 }
@@ -1841,66 +4315,145 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
             break;
         case "getConstValues":
             {
+                const client = INSTANCE.client_info.get(ws);
+
+                var payload = CURRENT_CONST_VALUES;
+                // only the owner gets to see secret values
+                if (client == undefined || client.role != "owner") {
+                    payload = {
+                        ...hideSecrets(CURRENT_CONST_VALUES),
+                        CURRENT_ENV_VALUES: hideSecrets(CURRENT_CONST_VALUES.CURRENT_ENV_VALUES)
+                    };
+                }
+
                 send(ws, {
                     type: "getConstValues",
                     id: msg.id,
-                    payload: CURRENT_CONST_VALUES
+                    payload: payload
                 });
             }
             break;
         case "startProcess":
+            {
+                startJob(send, ws, msg, jobId, { task: "Task name.", status: "Starting...", pausable: true }, (job) => {
+                    // faked here for now
+                    let percent = 0;
+
+                    const interval = setInterval(() => {
+                        if (job.state == "paused") {
+                            return;
+                        }
+
+                        percent += 10;
+
+                        updateJob(job, "Processing...", percent);
+
+                        if (percent >= 100) {
+                            clearInterval(interval);
+
+                            finishJob(job, true, "File processed successfully");
+                        }
+                    }, 500);
+
+                    return () => clearInterval(interval);
+                });
+            }
+            break;
+        case "listJobs":
             {
                 send(ws, {
-                    type: "startProcess",
+                    type: "listJobs",
                     id: msg.id,
-                    payload: { jobId, status: "Starting...", progress: 0 }
+                    payload: {
+                        // newest first
+                        jobs: [...JOBS.values()].reverse().map(job => ({ ...job }))
+                    }
                 });
+            }
+            break;
+        case "getJob":
+            {
+                const job = JOBS.get(msg.payload.jobId);
 
-                // faked here for now
-                let percent = 0;
-
-                const interval = setInterval(() => {
-                    percent += 10;
-
+                if (job == undefined) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: { message: "Unknown job" }
+                    });
+                } else {
+                    send(ws, {
+                        type: "getJob",
+                        id: msg.id,
+                        payload: { job: { ...job } }
+                    });
+                }
+            }
+            break;
+        case "getJobLog":
+            {
+                if (!JOBS.has(msg.payload.jobId)) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: { message: "Unknown job" }
+                    });
+                } else {
                     send(ws, {
-                        type: "jobProgress",
+                        type: "getJobLog",
                         id: msg.id,
                         payload: {
-                            jobId,
-                            task: "Task name.",
-                            status: "Processing...",
-                            progress: percent
+                            jobId: msg.payload.jobId,
+                            lines: [...(JOB_LOGS.get(msg.payload.jobId) || [])]
                         }
                     });
+                }
+            }
+            break;
+        case "cancelJob":
+        case "pauseJob":
+        case "resumeJob":
+            {
+                const job = JOBS.get(msg.payload.jobId);
 
-                    if (percent >= 100) {
-                        clearInterval(interval);
+                const client = INSTANCE.client_info.get(ws);
 
-                        send(ws, {
-                            type: "jobComplete",
-                            id: msg.id,
-                            payload: {
-                                jobId,
-                                task: "Task name.",
-                                status: "File processed successfully",
-                                success: true
-                            }
-                        });
-                    }
-                }, 500);
+                const username = client ? client.username : "unknown";
+
+                const problem = job == undefined ? "Unknown job" :
+                    msg.type == "cancelJob" ? cancelJob(job, username) :
+                    setJobPaused(job, msg.type == "pauseJob", username);
+
+                if (problem != undefined) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: { message: problem }
+                    });
+                } else {
+                    send(ws, {
+                        type: msg.type,
+                        id: msg.id,
+                        payload: { success: true }
+                    });
+                }
             }
             break;
         case "purgeLogs":
             {
-                Logger.log(`Deleting non-active log files.`);
+                Logger.info(`Deleting non-active log files.`);
+
+                const purged = Logger.purge();
 
-                Logger.log(`Non-active log files deleted!`);
+                Logger.info(`${purged.deleted} non-active log files deleted, ${purged.bytes} bytes freed.`);
 
                 send(ws, {
                     type: "purgeLogs",
                     id: msg.id,
                     payload: {
-                        success: true
+                        success: true,
+                        deleted: purged.deleted,
+                        bytes: purged.bytes
                     }
                 });
             }
@@ -1922,24 +4475,89 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
                 });
             }
             break;
+        case "getAuditLog":
+            {
+                send(ws, {
+                    type: "getAuditLog",
+                    id: msg.id,
+                    payload: {
+                        actions: AUDIT_ACTIONS,
+                        entries: readAudit(msg.payload || {})
+                    }
+                });
+            }
+            break;
         case "downloadLog":
             try {
-                const fileName = "test.log";
+                const fileName = msg.payload.file || Logger.ACTIVE_LOG;
+                // only names from the log folder, never a path
+                const file = Logger.listFiles().find(self => self.name == fileName);
+
+                if (file == undefined) {
+                    send(ws, {
+                        type: "error",
+                        id: msg.id,
+                        payload: { message: "Unknown log file" }
+                    });
+                } else {
+                    const data = fs.readFileSync(path.join(Logger.logDir, file.name), "utf8");
+
+                    send(ws, {
+                        type: "downloadLog",
+                        id: msg.id,
+                        payload: {
+                            name: file.name,
+                            text: data
+                        }
+                    });
+                }
+            } catch (error) {
+                Logger.error("downloadLog request error");
+
+                Logger.error(error);
 
-                const data = CURRENT_LOG.join('\n').toString();
+                send(ws, {
+                    type: "error",
+                    id: msg.id,
+                    payload: { message: "Couldn't read log file" }
+                });
+            }
+            break;
+        case "getLogHistory":
+            {
+                const since = msg.payload.since;
+                // ids from before a restart don't line up, send everything
+                const sameBoot = msg.payload.boot == undefined || msg.payload.boot == SERVER_BOOT;
 
                 send(ws, {
-                    type: "downloadLog",
+                    type: "getLogHistory",
+                    id: msg.id,
+                    payload: {
+                        boot: SERVER_BOOT,
+                        logs: since == undefined || !sameBoot ? [...LOG_HISTORY] : LOG_HISTORY.filter(log => log.id > since)
+                    }
+                });
+            }
+            break;
+        case "listLogs":
+            try {
+                send(ws, {
+                    type: "listLogs",
                     id: msg.id,
                     payload: {
-                        name: fileName,
-                        text: data
+                        files: Logger.listFiles()
                     }
                 });
             } catch (error) {
-                Logger.error("downloadLog request error");
+                Logger.error("listLogs request error");
 
                 Logger.error(error);
+
+                send(ws, {
+                    type: "error",
+                    id: msg.id,
+                    payload: { message: "Couldn't list log files" }
+                });
             }
             break;
         default:
@@ -1954,5 +4572,29 @@ function _admin_websocket_functions(send, ws, msg, jobId) {
 
 // Starts server
 (async function () {
+    const addUser = process.argv.indexOf("--add-user");
+
+    if (addUser != -1) {
+        try {
+            const [username, role, password] = process.argv.slice(addUser + 1, addUser + 4);
+
+            addAdminAccount(username, role, password);
+
+            Logger.info(`Saved ${role} account "${username}" to ${ADMIN_USERS_PATH}`);
+        } catch (error) {
+            Logger.error(error instanceof Error ? error.message : error);
+
+            process.exitCode = 1;
+        }
+
+        return;
+    }
+
+    loadEnvFile();
+
+    loadAdminAccounts();
+
+    Logger.setLevel(CURRENT_CONST_VALUES.CURRENT_ENV_VALUES.LOG_LEVEL);
+
     admin_panel();
 })();
\ No newline at end of file
@@ -4,6 +4,9 @@
  * @typedef {import('./socket.js.d.ts').RequestType} RequestType
  * @typedef {import('./socket.js.d.ts').typeMsgSubscribe} typeMsgSubscribe
  * @typedef {import('./socket.js.d.ts').typeMsgRequests} typeMsgRequests
+ * @typedef {{token: string, username: string, role: "viewer" | "operator" | "owner", permissions: string[], expires: number}} AdminSession
+ * @typedef {{timeout?: number, signal?: AbortSignal, queue?: boolean, retrySafe?: boolean}} RequestOptions
+ * @typedef {"timeout" | "aborted" | "closed" | "offline"} RequestErrorCode
  */
 
 /**
@@ -21,9 +24,28 @@ export let connectionState = "Disconnected";
 
 const stateListeners = new Set();
 
+const latencyListeners = new Set();
+
+const handshakeListeners = new Set();
+
 const messageListeners = new Map();
 
+/**
+ * @type {Map<number, {type: string, resolve: (value: any) => void, reject: (reason: RequestError) => void, cleanup: () => void}>}
+ */
 const pendingRequests = new Map();
+/**
+ * Requests held while the socket reconnects, sent on `open`
+ * 
+ * @type {Map<number, {type: string, id: number, payload: any}>}
+ */
+const queuedRequests = new Map();
+/**
+ * Follower requests the leader is sending for them by `from:id`, aborted when the follower gives up
+ * 
+ * @type {Map<string, AbortController>}
+ */
+const proxiedRequests = new Map();
 
 let requestId = 0;
 
@@ -33,6 +55,270 @@ const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
 
 export const webhost = `${protocol}//${window.location.host}`;
 
+export const httphost = `${window.location.protocol}//${window.location.host}`;
+
+/**
+ * localStorage key for the admin session
+ */
+const SESSION_KEY = "adminSession";
+
+/**
+ * Server close code for an expired or logged out session
+ */
+const SESSION_CLOSE_CODE = 4001;
+
+/**
+ * ms between heartbeat pings while connected
+ */
+const PING_TIME = 10000;
+
+/**
+ * ms without an answer before the connection counts as dead
+ */
+const PING_TIMEOUT = 5000;
+
+/**
+ * @type {NodeJS.Timeout?}
+ */
+let pingTimer = null;
+
+/**
+ * Round trip time to the server in ms, `null` while not connected
+ * 
+ * @type {number?}
+ */
+export let latency = null;
+
+/**
+ * Version of the admin message protocol, must match the server's
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Build version of this panel, from package.json
+ */
+export const PANEL_VERSION = typeof __PANEL_VERSION__ == "undefined" ? "" : __PANEL_VERSION__;
+
+/**
+ * Request types this panel sends, checked against the server's in the handshake
+ * 
+ * @type {typeMsgRequests[]}
+ */
+export const SUPPORTED_REQUESTS = [
+    "downloadLog",
+    "listLogs",
+    "getLogHistory",
+    "timeRequest",
+    "ping",
+    "hello",
+    "getPatches",
+    "getServerDB",
+    "displayURLs",
+    "getEnvValues",
+    "getConstValues",
+    "setEnvValues",
+    "getConfigHistory",
+    "restoreConfig",
+    "startProcess",
+    "test",
+    "restartServer",
+    "shutdownServer",
+    "installAsset",
+    "uninstallAsset",
+    "installPatch",
+    "uninstallPatch",
+    "deletePlayerAccount",
+    "deletePlayerID",
+    "getPlayerAccounts",
+    "getSecret",
+    "checkServerVersion",
+    "switchDevice",
+    "purgeLogs",
+    "getAuditLog",
+    "listJobs",
+    "getJob",
+    "getJobLog",
+    "cancelJob",
+    "pauseJob",
+    "resumeJob"
+];
+
+/**
+ * Result of the last `hello`, `null` until the server answers
+ * 
+ * @type {{compatible: boolean, server_version: string, panel_version: string, protocol: number, missing: string[]}?}
+ */
+export let handshake = null;
+
+/**
+ * BroadcastChannel the open tabs share one connection over
+ */
+const CHANNEL_NAME = "adminSocket";
+
+/**
+ * ms between leader heartbeats
+ */
+const HEARTBEAT_TIME = 1000;
+
+/**
+ * ms without a heartbeat before the other tabs elect a new leader
+ */
+const LEADER_TIMEOUT = 3500;
+
+/**
+ * ms a tab waits for a lower claim before it takes the lead
+ */
+const ELECTION_TIME = 300;
+
+/**
+ * Id of this tab, the lowest claim wins an election
+ */
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const channel = typeof BroadcastChannel == "undefined" ? null : new BroadcastChannel(CHANNEL_NAME);
+
+/**
+ * This tab's part in sharing the connection.
+ * 
+ * Only the leader opens a socket, followers proxy requests and subscriptions through it.
+ * Without BroadcastChannel every tab leads.
+ * 
+ * @type {"leader" | "follower" | "electing"}
+ */
+let tabRole = channel == null ? "leader" : "electing";
+
+/**
+ * @type {string?}
+ */
+let leaderId = null;
+
+let leaderSince = 0;
+
+let leaderSeen = 0;
+
+let started = false;
+
+/**
+ * Default ms to wait for a response before a request fails
+ */
+export const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Read-only requests that can wait in the queue while offline.
+ * 
+ * Anything else needs `retrySafe` to be queued.
+ * 
+ * @type {Set<typeMsgRequests>}
+ */
+const QUEUEABLE_REQUESTS = new Set([
+    "downloadLog",
+    "listLogs",
+    "getLogHistory",
+    "timeRequest",
+    "getPatches",
+    "getServerDB",
+    "displayURLs",
+    "getEnvValues",
+    "getConfigHistory",
+    "getConstValues",
+    "getPlayerAccounts",
+    "getSecret",
+    "checkServerVersion",
+    "getAuditLog",
+    "listJobs",
+    "getJob",
+    "getJobLog"
+]);
+
+/**
+ * Error a request rejects with when it never got a response.
+ * 
+ * @example
+ * ```js
+ * try {
+ *     const res = await request("getServerDB");
+ * } catch (error) {
+ *     if (error instanceof RequestError && error.code == "timeout") {
+ *         setMessage(error.message);
+ *     }
+ * }
+ * ```
+ */
+export class RequestError extends Error {
+    /**
+     * @param {RequestErrorCode} code Why the request failed
+     * @param {string} type Request type
+     * @param {string} message 
+     */
+    constructor(code, type, message) {
+        super(message);
+
+        this.name = "RequestError";
+        /**
+         * @type {RequestErrorCode}
+         */
+        this.code = code;
+
+        this.type = type;
+    }
+};
+
+/**
+ * @type {AdminSession?}
+ */
+let session = readSession();
+
+/**
+ * Loads the saved admin session, if it hasn't expired.
+ */
+function readSession() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SESSION_KEY) || "null");
+
+        if (saved && saved.token && saved.expires > Date.now()) {
+            return saved;
+        }
+    } catch {
+        // bad json, treated as logged out
+    }
+
+    return null;
+};
+
+/**
+ * @param {AdminSession?} value 
+ */
+function saveSession(value) {
+    session = value;
+
+    if (value == null) {
+        window.localStorage.removeItem(SESSION_KEY);
+    } else {
+        window.localStorage.setItem(SESSION_KEY, JSON.stringify(value));
+    }
+};
+
+/**
+ * Asks the server if the saved session is still good.
+ * 
+ * @returns {Promise<boolean|null>} `null` if the server couldn't be reached
+ */
+async function checkSession() {
+    if (session == null) {
+        return false;
+    }
+
+    try {
+        const res = await fetch(`${httphost}/api/session`, {
+            headers: { "Authorization": `Bearer ${session.token}` }
+        });
+
+        return res.ok;
+    } catch {
+        return null;
+    }
+};
+
 function notifyState() {
     stateListeners.forEach(fn => fn(connectionState));
 };
@@ -44,9 +330,457 @@ function notifyState() {
 function setState(state) {
     connectionState = state;
 
+    if (tabRole == "leader") {
+        post({ kind: "state", state: state });
+    }
+
     notifyState();
 };
 
+/**
+ * Takes on the connection state the leader tab sent.
+ * 
+ * @param {string} state 
+ */
+function followState(state) {
+    if (state == connectionState) {
+        return;
+    }
+
+    const wasConnected = connectionState == "Connected";
+    // another tab may have logged in or out
+    session = readSession();
+
+    connectionState = state;
+
+    if (state == "Unauthorized") {
+        rejectPending("closed", "Logged out of the server.", true);
+    } else if (state == "Connected" && !wasConnected) {
+        flushQueue();
+        // this tab's build may differ from the leader's
+        sayHello();
+    }
+
+    notifyState();
+};
+
+/**
+ * Posts to the other tabs.
+ * 
+ * @param {{kind: string, [key: string]: any}} data 
+ */
+function post(data) {
+    channel?.postMessage({ ...data, from: TAB_ID });
+};
+
+function heartbeat() {
+    post({ kind: "heartbeat", state: connectionState, since: leaderSince, latency: latency });
+};
+
+/**
+ * @param {number?} value 
+ */
+function setLatency(value) {
+    if (value == latency) {
+        return;
+    }
+
+    latency = value;
+
+    if (tabRole == "leader") {
+        post({ kind: "latency", latency: value });
+    }
+
+    latencyListeners.forEach(fn => fn(latency));
+};
+
+function startPing() {
+    stopPing();
+
+    sendPing();
+
+    pingTimer = setInterval(sendPing, PING_TIME);
+};
+
+function stopPing() {
+    if (pingTimer) {
+        clearInterval(pingTimer);
+
+        pingTimer = null;
+    }
+};
+
+/**
+ * Measures latency, a ping without an answer means the connection is dead
+ * even if the socket still says it's open.
+ */
+async function sendPing() {
+    const current = socket;
+
+    const start = Date.now();
+
+    try {
+        await request("ping", { time: start }, { timeout: PING_TIMEOUT });
+
+        if (socket == current) {
+            setLatency(Date.now() - start);
+        }
+    } catch (error) {
+        if (error instanceof RequestError && error.code == "timeout" && current != null && socket == current) {
+            console.error("Server stopped answering pings, reconnecting.");
+
+            dropSocket();
+        }
+    }
+};
+
+/**
+ * @param {typeof handshake} value 
+ */
+function setHandshake(value) {
+    handshake = value;
+
+    handshakeListeners.forEach(fn => fn(handshake));
+};
+
+/**
+ * Tells the server which build and message types this panel has.
+ * 
+ * The panel counts as out of date if the server says so or doesn't know `hello`.
+ */
+async function sayHello() {
+    try {
+        const res = await request("hello", {
+            version: PANEL_VERSION,
+            protocol: PROTOCOL_VERSION,
+            types: SUPPORTED_REQUESTS
+        });
+
+        if (res.type == "error") {
+            console.error(`Handshake failed: ${res.payload.message}`);
+
+            setHandshake({ compatible: false, server_version: "", panel_version: "", protocol: 0, missing: [] });
+
+            return;
+        }
+
+        const { compatible, server_version, panel_version, protocol, missing } = res.payload;
+
+        if (!compatible) {
+            console.error(`Admin Panel v${PANEL_VERSION} (protocol ${PROTOCOL_VERSION}) doesn't match server panel v${panel_version} (protocol ${protocol}).`, missing);
+        }
+
+        setHandshake({ compatible, server_version, panel_version, protocol, missing });
+    } catch (error) {
+        // connection dropped, tried again on the next connect
+        console.error(error);
+    }
+};
+
+/**
+ * Gives up on a socket without waiting for its close handshake.
+ */
+function dropSocket() {
+    const old = socket;
+
+    socket = null;
+
+    stopPing();
+
+    old?.close();
+
+    rejectPending("closed", "Connection to the server was lost.");
+
+    setLatency(null);
+
+    setState("Disconnected");
+
+    scheduleReconnect();
+};
+
+/**
+ * @param {string} id Leader tab
+ * @param {number} since When it took the lead, `0` if not known yet
+ */
+function follow(id, since = 0) {
+    // requests sent through a leader that's gone won't be answered
+    if (leaderId != id) {
+        rejectPending("closed", "Connection to the server was closed.");
+    }
+
+    tabRole = "follower";
+
+    leaderId = id;
+
+    leaderSince = since;
+
+    leaderSeen = Date.now();
+};
+
+function elect() {
+    tabRole = "electing";
+
+    leaderId = null;
+
+    post({ kind: "claim" });
+
+    setTimeout(() => {
+        if (tabRole == "electing") {
+            becomeLeader();
+        }
+    }, ELECTION_TIME);
+};
+
+function becomeLeader() {
+    rejectPending("closed", "Connection to the server was closed.");
+
+    tabRole = "leader";
+
+    leaderId = TAB_ID;
+
+    leaderSince = Date.now();
+
+    heartbeat();
+
+    connect();
+};
+
+/**
+ * Hands the connection to another leader tab.
+ * 
+ * @param {string} id Leader tab
+ * @param {number} since When it took the lead
+ */
+function stepDown(id, since) {
+    follow(id, since);
+
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+
+        reconnectTimer = null;
+    }
+
+    const old = socket;
+
+    socket = null;
+
+    stopPing();
+
+    old?.close();
+};
+
+/**
+ * Heartbeats as leader, starts an election if the leader went quiet.
+ */
+function watchLeader() {
+    if (tabRole == "leader") {
+        heartbeat();
+    } else if (tabRole == "follower" && Date.now() - leaderSeen > LEADER_TIMEOUT) {
+        elect();
+    }
+};
+
+/**
+ * @param {MessageEvent} event 
+ */
+function onChannelMessage(event) {
+    const data = event.data;
+
+    switch (data.kind) {
+        case "claim":
+            if (tabRole == "leader") {
+                heartbeat();
+            } else if (tabRole == "electing" && data.from < TAB_ID) {
+                follow(data.from);
+            }
+            break;
+        case "heartbeat":
+            if (tabRole == "leader") {
+                // two leaders after a missed heartbeat, the newer one keeps it
+                if (data.since > leaderSince || (data.since == leaderSince && data.from < TAB_ID)) {
+                    stepDown(data.from, data.since);
+
+                    followState(data.state);
+                }
+            } else if (leaderId == null || data.from == leaderId || data.since >= leaderSince) {
+                follow(data.from, data.since);
+
+                followState(data.state);
+
+                setLatency(data.latency);
+            }
+            break;
+        case "resign":
+            if (tabRole == "follower" && data.from == leaderId) {
+                elect();
+            }
+            break;
+        case "state":
+            if (tabRole != "leader") {
+                followState(data.state);
+            }
+            break;
+        case "latency":
+            if (tabRole != "leader") {
+                setLatency(data.latency);
+            }
+            break;
+        case "connect":
+            if (tabRole == "leader") {
+                session = readSession();
+
+                reconnectAttempts = 0;
+
+                connect();
+            }
+            break;
+        case "request":
+            if (tabRole == "leader") {
+                const { from, msg } = data;
+
+                const key = `${from}:${msg.id}`;
+
+                const controller = new AbortController();
+
+                proxiedRequests.set(key, controller);
+                // the follower runs its own timeout and sends a cancel when it gives up
+                request(msg.type, msg.payload, { timeout: 0, signal: controller.signal })
+                .then(res => post({ kind: "response", to: from, msg: { ...res, id: msg.id } }))
+                .catch(error => {
+                    if (!controller.signal.aborted) {
+                        post({ kind: "reject", to: from, id: msg.id, code: error.code, message: error.message });
+                    }
+                })
+                .finally(() => proxiedRequests.delete(key));
+            }
+            break;
+        case "cancel":
+            if (tabRole == "leader") {
+                proxiedRequests.get(`${data.from}:${data.id}`)?.abort();
+            }
+            break;
+        case "response":
+            if (data.to == TAB_ID) {
+                handleMessage(data.msg);
+            }
+            break;
+        case "reject":
+            if (data.to == TAB_ID) {
+                const entry = pendingRequests.get(data.id);
+
+                if (entry) {
+                    pendingRequests.delete(data.id);
+
+                    entry.cleanup();
+
+                    entry.reject(new RequestError(data.code, entry.type, data.message));
+                }
+            }
+            break;
+        case "message":
+            if (tabRole != "leader") {
+                handleMessage(data.msg);
+            }
+            break;
+        default:
+            break;
+    }
+};
+
+/**
+ * If requests can go out now, through this tab's socket or the leader's.
+ */
+function isOpen() {
+    if (tabRole == "leader") {
+        return socket != null && socket.readyState === WebSocket.OPEN;
+    }
+
+    return tabRole == "follower" && connectionState == "Connected";
+};
+
+/**
+ * @param {{type: string, id: number, payload: any}} msg 
+ */
+function sendMessage(msg) {
+    if (tabRole == "leader") {
+        socket?.send(JSON.stringify(msg));
+    } else {
+        post({ kind: "request", msg: msg });
+    }
+};
+
+/**
+ * @param {string} type 
+ */
+function isSubscribeType(type) {
+    return type === "log" ||
+           type === "jobProgress" ||
+           type === "jobComplete" ||
+           type === "configChanged";
+};
+
+/**
+ * Resolves a waiting request or passes a message to its subscribers.
+ * 
+ * @param {any} msg 
+ */
+function handleMessage(msg) {
+    /** non {@link typeMsgSubscribe} */
+    if (!isSubscribeType(msg.type)) {
+        const entry = pendingRequests.get(msg.id);
+
+        if (entry) {
+            pendingRequests.delete(msg.id);
+
+            entry.cleanup();
+
+            entry.resolve(msg);
+        }
+
+        return;
+    }
+
+    const subs = messageListeners.get(msg.type);
+
+    if (subs) {
+        subs.forEach(/**@type {(value: any) => void}*/fn => fn(msg));
+    }
+};
+
+/**
+ * Rejects every request still waiting on a response.
+ * 
+ * @param {RequestErrorCode} code 
+ * @param {string} message 
+ * @param {boolean} queued Also reject requests waiting in the offline queue
+ */
+function rejectPending(code, message, queued = false) {
+    pendingRequests.forEach((entry, id) => {
+        if (queuedRequests.has(id) && !queued) {
+            return;
+        }
+
+        pendingRequests.delete(id);
+
+        queuedRequests.delete(id);
+
+        entry.cleanup();
+
+        entry.reject(new RequestError(code, entry.type, message));
+    });
+};
+
+/**
+ * Sends everything held in the offline queue.
+ */
+function flushQueue() {
+    queuedRequests.forEach((msg, id) => {
+        queuedRequests.delete(id);
+
+        sendMessage(msg);
+    });
+};
+
 function scheduleReconnect() {
     if (reconnectTimer) return;
 
@@ -62,6 +796,24 @@ function scheduleReconnect() {
 };
 
 function connect() {
+    if (tabRole == "follower") {
+        post({ kind: "connect" });
+
+        return false;
+    }
+
+    if (tabRole == "electing") {
+        return false;
+    }
+
+    if (session == null) {
+        rejectPending("closed", "Logged out of the server.", true);
+
+        setState("Unauthorized");
+
+        return false;
+    }
+
     if (socket &&
        (socket.readyState === WebSocket.OPEN)
     ){
@@ -76,27 +828,69 @@ function connect() {
 
     setState("Connecting...");
 
-    socket = new WebSocket(webhost);
+    const current = new WebSocket(`${webhost}/?token=${encodeURIComponent(session.token)}`);
 
-    socket.addEventListener("close", (event) => {
-        setState("Disconnected");
+    socket = current;
+
+    let opened = false;
 
+    current.addEventListener("close", async (event) => {
         console.log('Close code:', event.code);
 
         console.log('Close reason:', event.reason);
 
         console.log('Was clean close?', event.wasClean);
+        // handed off to another tab or already dropped
+        if (socket != current) {
+            return;
+        }
+
+        stopPing();
+
+        setLatency(null);
+
+        rejectPending("closed", "Connection to the server was closed.");
+
+        if (event.code == SESSION_CLOSE_CODE || session == null) {
+            saveSession(null);
+
+            rejectPending("closed", "Logged out of the server.", true);
+
+            setState("Unauthorized");
+
+            return;
+        }
+
+        setState("Disconnected");
+        // a rejected upgrade looks like any other failed connection, so ask why
+        if (!opened && await checkSession() === false) {
+            saveSession(null);
+
+            rejectPending("closed", "Logged out of the server.", true);
+
+            setState("Unauthorized");
+
+            return;
+        }
 
         scheduleReconnect();
     });
 
-    socket.addEventListener("open", (event) => {
+    current.addEventListener("open", (event) => {
+        opened = true;
+
         reconnectAttempts = 0;
 
+        flushQueue();
+
         setState("Connected");
+
+        startPing();
+
+        sayHello();
     });
 
-    socket.addEventListener("error", (event) => {
+    current.addEventListener("error", (event) => {
         setState("Error");
 
         console.error('WebSocket error occurred:', event);
@@ -105,39 +899,21 @@ function connect() {
 
         console.log('Event type:', event.type);
 
-        console.log('Target readyState:', socket?.readyState);
+        console.log('Target readyState:', current.readyState);
     })
 
-    socket.addEventListener("message", (event) => {
+    current.addEventListener("message", (event) => {
         /**
          * @template {RequestType} T
          * @type {RequestMap[T]["response"]}
          */
         const msg = JSON.parse(event.data);
 
-        /** non {@link typeMsgSubscribe} */
-        if (!(msg.type === "log" ||
-              msg.type === "jobProgress" ||
-              msg.type === "jobComplete")
-        ) {
-            const resolver = pendingRequests.get(msg.id);
-
-            if (resolver) {
-                resolver(msg);
-
-                pendingRequests.delete(msg.id);
-            }
-
-            return;
-        }
-
-        const subs = messageListeners.get(msg.type);
-
-        if (subs) {
-            subs.forEach(/**@type {(value: any) => void}*/fn => fn(msg));
+        handleMessage(msg);
+        // the other tabs only get broadcasts, their responses go through the channel
+        if (isSubscribeType(msg.type)) {
+            post({ kind: "message", msg: msg });
         }
-
-        return;
     });
 
     if(connectionState == "Connected"){
@@ -150,6 +926,8 @@ function connect() {
 /**
  * Creates connection to server. Must be at start of `useEffect` in any componets. 
  * 
+ * Open tabs share one connection, the first tab opens the socket and the others go through it.
+ * 
  * @example
  * ```js
  * useEffect(() => {
@@ -159,9 +937,142 @@ function connect() {
  * ```
  */
 export function startSocket() {
+    if (!started && channel != null) {
+        started = true;
+
+        channel.addEventListener("message", onChannelMessage);
+
+        window.addEventListener("pagehide", () => {
+            if (tabRole == "leader") {
+                post({ kind: "resign" });
+            }
+        });
+
+        setInterval(watchLeader, HEARTBEAT_TIME);
+
+        setState("Connecting...");
+
+        elect();
+
+        return false;
+    }
+
     return connect();
 }
 
+/**
+ * Logs into the admin panel and opens the connection.
+ * 
+ * @example
+ * ```js
+ * const res = await login(username, password);
+ * 
+ * if (!res.success) {
+ *     setError(res.message);
+ * }
+ * ```
+ * @param {string} username 
+ * @param {string} password 
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+export async function login(username, password) {
+    try {
+        const res = await fetch(`${httphost}/api/login`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ username, password })
+        });
+
+        const data = await res.json();
+
+        if (!res.ok) {
+            return { success: false, message: data.message || "Login failed" };
+        }
+
+        saveSession({
+            token: data.token,
+            username: data.username,
+            role: data.role,
+            permissions: data.permissions,
+            expires: data.expires
+        });
+
+        reconnectAttempts = 0;
+
+        connect();
+
+        return { success: true };
+    } catch (error) {
+        return { success: false, message: "Could not reach the server" };
+    }
+};
+
+/**
+ * Ends the admin session and closes the connection.
+ */
+export async function logout() {
+    if (session != null) {
+        try {
+            await fetch(`${httphost}/api/logout`, {
+                method: "POST",
+                headers: { "Authorization": `Bearer ${session.token}` }
+            });
+        } catch {
+            // session is dropped locally either way
+        }
+    }
+
+    saveSession(null);
+
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+
+        reconnectTimer = null;
+    }
+
+    if (socket && socket.readyState !== WebSocket.CLOSED) {
+        socket.close();
+    }
+
+    rejectPending("closed", "Logged out of the server.", true);
+
+    setState("Unauthorized");
+};
+
+/**
+ * Username of the logged in admin
+ * 
+ * @returns {string|undefined}
+ */
+export function getUsername() {
+    return session?.username;
+};
+
+/**
+ * Role of the logged in admin
+ * 
+ * @returns {AdminSession["role"]|undefined}
+ */
+export function getRole() {
+    return session?.role;
+};
+
+/**
+ * If the logged in admin's role is allowed to make a request.
+ * 
+ * Use to hide or disable actions, the server checks again either way.
+ * 
+ * @example
+ * ```js
+ * {can("deletePlayerID") ? <div onClick={deleteAccount}>Delete</div> : ""}
+ * ```
+ * @param {typeMsgRequests} type Request type
+ * @returns {boolean}
+ */
+export function can(type) {
+    return session != null && Array.isArray(session.permissions) && session.permissions.includes(type);
+};
+
 /**
  * Get all messages of a type
  * 
@@ -216,9 +1127,47 @@ export function subscribeConnectionState(handler) {
     return () => stateListeners.delete(handler);
 }
 
+/**
+ * Gets the round trip time to the server in ms, `null` while not connected.
+ * 
+ * @param {(data: number?) => void} handler 
+ * @returns 
+ */
+export function subscribeLatency(handler) {
+    latencyListeners.add(handler);
+
+    handler(latency);
+
+    return () => latencyListeners.delete(handler);
+};
+
+/**
+ * Gets the result of the version handshake, `null` until the server answers.
+ * 
+ * @example
+ * ```js
+ * useEffect(() => subscribeHandshake((value) => setOutdated(value != null && !value.compatible)), []);
+ * ```
+ * @param {(data: typeof handshake) => void} handler 
+ * @returns 
+ */
+export function subscribeHandshake(handler) {
+    handshakeListeners.add(handler);
+
+    handler(handshake);
+
+    return () => handshakeListeners.delete(handler);
+};
+
 /**
  * Make a single request / response to the server.
  * 
+ * Rejects with a {@link RequestError} if the socket isn't open, the socket closes,
+ * the timeout runs out or the signal aborts before a response comes back.
+ * 
+ * With `queue` set, read-only requests made while offline wait for the socket to reconnect
+ * instead of failing. Requests that change the server only wait if also marked `retrySafe`.
+ * 
  * @async
  * @example
  * ```js
@@ -227,38 +1176,100 @@ export function subscribeConnectionState(handler) {
  * 
  *     console.log(res);
  * };
+ * 
+ *  // per-call timeout and cancel
+ *  const controller = new AbortController();
+ * 
+ *  const res = await request("getPlayerAccounts", {}, { timeout: 5000, signal: controller.signal });
+ * 
+ *  // wait for a reconnect instead of failing
+ *  const res = await request("getServerDB", {}, { queue: true });
  * ```
  * @template {typeMsgRequests} T Request type
  * @param {T} type command
  * @param {RequestMap[T]["request"]["payload"]} payload Sending data
+ * @param {RequestOptions} options `timeout` in ms (defaults to {@link REQUEST_TIMEOUT}, `0` waits forever), an `AbortSignal`, `queue` and `retrySafe`
  * @returns {Promise<RequestMap[T | "error"]["response"]>} return data
  */
-export async function request(type, payload = {}) {
-    return new Promise((resolve) => {
+export async function request(type, payload = {}, options = {}) {
+    return new Promise((resolve, reject) => {
         const id = requestId++;
 
-        if (!socket || socket.readyState !== WebSocket.OPEN) {
+        const { timeout = REQUEST_TIMEOUT, signal, queue = false, retrySafe = false } = options;
+
+        if (signal?.aborted) {
+            reject(new RequestError("aborted", type, `Request "${type}" was cancelled.`));
+
+            return;
+        }
+
+        const offline = !isOpen();
+
+        if (offline && !(queue && session != null && (QUEUEABLE_REQUESTS.has(type) || retrySafe))) {
             console.error("WebSocket request made before connection was started.");
-            /**
-             * @type {RequestMap["error"]["response"]}
-             */
-            const response = { 
-                type: "error", 
-                id: id, 
-                payload: { 
-                    message: "Error, socket undefined" 
-                }
-            };
-            // @ts-ignore
-            resolve(response);
+
+            reject(new RequestError("offline", type, "Not connected to the server."));
+
+            return;
+        }
+        /**
+         * @type {NodeJS.Timeout?}
+         */
+        let timer = null;
+
+        const drop = () => {
+            // the leader is still waiting on it otherwise
+            if (tabRole == "follower" && !queuedRequests.has(id)) {
+                post({ kind: "cancel", id: id });
+            }
+
+            pendingRequests.delete(id);
+
+            queuedRequests.delete(id);
+
+            cleanup();
+        };
+
+        const onAbort = () => {
+            drop();
+
+            reject(new RequestError("aborted", type, `Request "${type}" was cancelled.`));
+        };
+
+        const cleanup = () => {
+            if (timer) {
+                clearTimeout(timer);
+
+                timer = null;
+            }
+
+            signal?.removeEventListener("abort", onAbort);
+        };
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                drop();
+
+                reject(new RequestError("timeout", type, `Request "${type}" timed out after ${timeout / 1000}s.`));
+            }, timeout);
         }
 
-        pendingRequests.set(id, resolve);
+        signal?.addEventListener("abort", onAbort);
+
+        pendingRequests.set(id, { type, resolve, reject, cleanup });
 
-        socket?.send(JSON.stringify({
+        const msg = {
             type: type,
             id: id,
             payload: payload
-        }));
+        };
+
+        if (offline) {
+            queuedRequests.set(id, msg);
+
+            return;
+        }
+
+        sendMessage(msg);
     });
 };
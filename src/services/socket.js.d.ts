@@ -12,6 +12,8 @@ export type typeMsgRequests =
     | "downloadLog"
     | "error"
     | "timeRequest"
+    | "ping"
+    | "hello"
     | "getPatches"
     | "getServerDB"
     | "displayURLs"
@@ -32,7 +34,18 @@ export type typeMsgRequests =
     | "getSecret"
     | "checkServerVersion"
     | "switchDevice"
-    | "purgeLogs";
+    | "purgeLogs"
+    | "listLogs"
+    | "getLogHistory"
+    | "getAuditLog"
+    | "getConfigHistory"
+    | "restoreConfig"
+    | "listJobs"
+    | "getJob"
+    | "getJobLog"
+    | "cancelJob"
+    | "pauseJob"
+    | "resumeJob";
 
 /**
  * Message type to subscribe (has more than 1 response) 
@@ -42,7 +55,202 @@ export type typeMsgRequests =
 export type typeMsgSubscribe =
     | "log"
     | "jobProgress"
-    | "jobComplete";
+    | "jobComplete"
+    | "configChanged";
+
+/**
+ * Server log level, from least to most logged: info, error, warn, debug
+ */
+export type LogLevel = "debug" | "warn" | "error" | "info";
+
+/**
+ * Structured server log line
+ */
+export type LogRecord = {
+    level: LogLevel,
+    /**
+     * ISO time logged
+     */
+    timestamp: string,
+    /**
+     * `file:line:column` that logged, not set for plain console logs
+     */
+    source?: string,
+    /**
+     * Message without level prefix or color codes
+     */
+    message: string,
+    /**
+     * Extra fields the server added
+     */
+    context?: {[key: string]: any}
+};
+
+/**
+ * One setting in the .env file, see {@link RequestMap.getEnvValues}
+ */
+export type EnvField = {
+    /**
+     * .env key
+     */
+    key: string,
+    /**
+     * Default value, as written in the .env
+     */
+    value: string,
+    /**
+     * Comment written above the key in the .env
+     */
+    desc: string,
+    label: string,
+    /**
+     * Short note shown under the label
+     */
+    help?: string,
+    /**
+     * Heading the setting is listed under
+     */
+    group: string,
+    type: "string" | "number" | "boolean",
+    /**
+     * Only these values are allowed
+     */
+    enum?: string[],
+    /**
+     * Lowest number allowed
+     */
+    min?: number,
+    /**
+     * Highest number allowed
+     */
+    max?: number,
+    /**
+     * RegExp source the value has to match
+     */
+    pattern?: string,
+    /**
+     * Shown when the value is wrong
+     */
+    hint?: string,
+    /**
+     * Hidden from everyone but the owner
+     */
+    secret?: boolean,
+    /**
+     * Only takes effect after a server restart
+     */
+    restart: boolean
+};
+
+/**
+ * Saved version of the settings, see {@link RequestMap.getConfigHistory}
+ */
+export type ConfigVersion = {
+    /**
+     * Counts up from 1, the first is how the settings were before any save
+     */
+    version: number,
+    /**
+     * ISO timestamp
+     */
+    time: string,
+    /**
+     * Admin that saved, `"server"` for the first version
+     */
+    user: string,
+    /**
+     * Every setting as .env text, secret ones blanked
+     */
+    values: {[key: string]: string},
+    /**
+     * What this version changed from the one before it
+     */
+    changes: {
+        key: string,
+        /**
+         * Blank for secrets
+         */
+        from: string,
+        /**
+         * Blank for secrets
+         */
+        to: string,
+        /**
+         * A secret changed, its values are never kept
+         */
+        secret?: boolean
+    }[],
+    /**
+     * Version this one restored
+     */
+    restoredFrom?: number,
+    /**
+     * Keys that don't match the running settings, secrets aren't compared
+     */
+    differs: string[]
+};
+
+/**
+ * Job the server is running or ran recently
+ */
+export type Job = {
+    /**
+     * Job reference for subscribe
+     */
+    jobId: number,
+    /**
+     * Message type that started the job
+     */
+    type: string,
+    /**
+     * Username of the admin that started the job
+     */
+    owner: string,
+    /**
+     * Payload the job was started with
+     */
+    payload: any,
+    state: "queued" | "running" | "paused" | "complete" | "failed" | "cancelled",
+    /**
+     * Title of task
+     */
+    task: string,
+    /**
+     * Current step in process
+     */
+    status: string,
+    /**
+     * % of 100
+     */
+    progress: number,
+    /**
+     * If pauseJob / resumeJob work on this job
+     */
+    pausable: boolean,
+    /**
+     * If cancelJob works on this job
+     */
+    cancellable: boolean,
+    /**
+     * What the job changes, jobs sharing one run in order
+     */
+    resources: string[],
+    /**
+     * Unfinished jobs in front of it while queued
+     */
+    ahead: number,
+    /**
+     * Set once the job is done
+     */
+    success?: boolean,
+    /**
+     * ms timestamps
+     */
+    created: number,
+    updated: number,
+    started?: number,
+    finished?: number
+};
 
 export interface RequestMap {
     /**
@@ -57,7 +265,7 @@ export interface RequestMap {
         response: {
             type: "log",
             id: id,
-            payload: {
+            payload: LogRecord & {
                 /**
                  * Log message as text
                  */
@@ -65,18 +273,64 @@ export interface RequestMap {
                 /**
                  * Log message as html
                  */
-                html: string
+                html: string,
+                /**
+                 * Job that wrote the line, when one did
+                 */
+                jobId?: number,
+                /**
+                 * When the server started, ids only line up within one boot
+                 */
+                boot: number
             };
         }
     },
     /**
-     * Downloads the current log file from the server
+     * Recent `log` messages, oldest first, so a panel can catch up on what it missed
+     */
+    getLogHistory: {
+        request: {
+            type: "getLogHistory",
+            id: id,
+            payload: {
+                /**
+                 * Only logs with a higher id
+                 */
+                since?: number,
+                /**
+                 * Boot `since` came from, everything is sent if the server restarted since
+                 */
+                boot?: number
+            }
+        },
+        response: {
+            type: "getLogHistory",
+            id: id,
+            payload: {
+                /**
+                 * When the server started
+                 */
+                boot: number,
+                logs: {
+                    id: id,
+                    payload: RequestMap["log"]["response"]["payload"]
+                }[]
+            }
+        }
+    },
+    /**
+     * Downloads the active log file, or an archived one by name
      */
     downloadLog: {
         request: {
             type: "downloadLog",
             id: id,
-            payload: any
+            payload?: {
+                /**
+                 * Name from `listLogs`, the active file when left out
+                 */
+                file?: string
+            }
         },
         response: {
             type: "downloadLog",
@@ -113,7 +367,93 @@ export interface RequestMap {
                 /**
                  * JobId that errored
                  */
-                jobId?: number
+                jobId?: number,
+                /**
+                 * Message for each payload field that failed validation
+                 */
+                fields?: {[field: string]: string}
+            }
+        }
+    },
+    /**
+     * Handshake sent right after connecting, checks the panel matches the server
+     */
+    hello: {
+        request: {
+            type: "hello",
+            id: id,
+            payload: {
+                /**
+                 * Panel build version
+                 */
+                version: string,
+                /**
+                 * Panel protocol version
+                 */
+                protocol: number,
+                /**
+                 * Message types the panel sends
+                 */
+                types: string[]
+            }
+        },
+        response: {
+            type: "hello",
+            id: id,
+            payload: {
+                /**
+                 * Server software version number
+                 */
+                server_version: string,
+                /**
+                 * Panel build version the server serves, empty if unknown
+                 */
+                panel_version: string,
+                /**
+                 * Server protocol version
+                 */
+                protocol: number,
+                /**
+                 * Message types the server handles
+                 */
+                capabilities: string[],
+                /**
+                 * Message types the panel sends that the server doesn't handle
+                 */
+                missing: string[],
+                /**
+                 * If the panel can be used with this server
+                 */
+                compatible: boolean
+            }
+        }
+    },
+    /**
+     * Heartbeat, the server echoes the time back to measure latency
+     */
+    ping: {
+        request: {
+            type: "ping",
+            id: id,
+            payload: {
+                /**
+                 * Client time the ping was sent
+                 */
+                time: number
+            }
+        },
+        response: {
+            type: "ping",
+            id: id,
+            payload: {
+                /**
+                 * Client time the ping was sent
+                 */
+                time: number,
+                /**
+                 * Server time the ping was answered
+                 */
+                server_time: number
             }
         }
     },
@@ -212,11 +552,7 @@ export interface RequestMap {
                 /**
                  * array values for creating .env file and values when error
                  */
-                DEFAULT_ENV_VALUES: {
-                    desc: string;
-                    key: string;
-                    value: string;
-                }[];
+                DEFAULT_ENV_VALUES: EnvField[];
                 /**
                  * Time your server backs up the DB in minutes
                  */
@@ -418,45 +754,54 @@ export interface RequestMap {
             id: id,
             payload: {
                 /**
-                 * Time your server backs up the DB in minutes
+                 * Current values
                  */
-                BACKUP: number;
-                /**
-                 * Version of the game the server is running
-                 */
-                VER: "GL"|"JP";
-                /**
-                 * IP Address of the server
-                 */
-                IP_ADDRESS: string;
-                /**
-                 * Port the server is runnning on (not admin panel)
-                 */
-                PORT: string;
-                /**
-                 * For using https instead of http (advanced stuff)
-                 */
-                USE_HTTPS: boolean;
-                /**
-                 * if the admin panel is active
-                 */
-                ADMIN_PANEL: boolean;
-                /**
-                 * Admin panel port
-                 */
-                ADMIN_PORT: string;
-                /**
-                 * Admin panel username
-                 */
-                ADMIN_USERNAME: string;
-                /**
-                 * Admin panel password
-                 */
-                ADMIN_PASSWORD: string;
+                values: {
+                    /**
+                     * Time your server backs up the DB in minutes
+                     */
+                    BACKUP: number;
+                    /**
+                     * Version of the game the server is running
+                     */
+                    VER: "GL"|"JP";
+                    /**
+                     * IP Address of the server
+                     */
+                    IP_ADDRESS: string;
+                    /**
+                     * Port the server is runnning on (not admin panel)
+                     */
+                    PORT: string;
+                    /**
+                     * For using https instead of http (advanced stuff)
+                     */
+                    USE_HTTPS: boolean;
+                    /**
+                     * if the admin panel is active
+                     */
+                    ADMIN_PANEL: boolean;
+                    /**
+                     * Admin panel port
+                     */
+                    ADMIN_PORT: string;
+                    /**
+                     * Admin panel username
+                     */
+                    ADMIN_USERNAME: string;
+                    /**
+                     * Admin panel password
+                     */
+                    ADMIN_PASSWORD: string;
+                    /**
+                     * Level the log file writes at
+                     */
+                    LOG_LEVEL: "debug"| "warn" | "error" | "info";
+                };
                 /**
-                 * Level the log file writes at
+                 * Every setting, in .env order
                  */
-                LOG_LEVEL: "debug"| "warn" | "error" | "info";
+                schema: EnvField[];
             }
         }
     },
@@ -481,7 +826,15 @@ export interface RequestMap {
                 /**
                  * Return only. If server set the value
                  */
-                success: boolean
+                success: boolean,
+                /**
+                 * Return only. If a changed key only takes effect after a restart
+                 */
+                restart: boolean,
+                /**
+                 * Return only. Config version saved, not set when nothing changed
+                 */
+                version?: number
             }
         }
     },
@@ -564,24 +917,7 @@ export interface RequestMap {
         response: {
             type: "jobProgress",
             id: id,
-            payload: {
-                /**
-                 * Job reference for subscribe
-                 */
-                jobId: number,
-                /**
-                 * Title of task
-                 */
-                task: string,
-                /**
-                 * Current step in process
-                 */
-                status: string,
-                /**
-                 * % of 100
-                 */
-                progress: number
-            }
+            payload: Job
         }
     },
     /**
@@ -596,23 +932,44 @@ export interface RequestMap {
         response: {
             type: "jobComplete",
             id: id,
+            payload: Job & {
+                success: boolean
+            }
+        }
+    },
+    /**
+     * response only {@link typeMsgSubscribe}, sent to every panel after {@link RequestMap.setEnvValues} changes something
+     */
+    configChanged: {
+        request: {
+            type: "configChanged",
+            id: id,
+            payload: any
+        },
+        response: {
+            type: "configChanged",
+            id: id,
             payload: {
                 /**
-                 * Job reference for subscribe
+                 * Keys that changed
                  */
-                jobId: number,
+                keys: string[],
                 /**
-                 * Title of task
+                 * If a changed key only takes effect after a restart
                  */
-                task: string,
+                restart: boolean,
                 /**
-                 * Current step in process
+                 * Admin that saved them
                  */
-                status: string,
+                user: string,
                 /**
-                 * % of 100
+                 * All values after the change, secret ones blanked
                  */
-                success: boolean
+                values: RequestMap["getEnvValues"]["response"]["payload"]["values"],
+                /**
+                 * Config version saved, see {@link RequestMap.getConfigHistory}
+                 */
+                version: number
             }
         }
     },
@@ -962,6 +1319,271 @@ export interface RequestMap {
         response: {
             type: "purgeLogs",
             id: id,
+            payload: {
+                success: boolean,
+                /**
+                 * Files deleted
+                 */
+                deleted: number,
+                /**
+                 * Bytes freed
+                 */
+                bytes: number
+            }
+        }
+    },
+    /**
+     * Log files on the server, active file first then archives newest first
+     */
+    listLogs: {
+        request: {
+            type: "listLogs",
+            id: id,
+            payload: any
+        },
+        response: {
+            type: "listLogs",
+            id: id,
+            payload: {
+                files: {
+                    name: string,
+                    /**
+                     * Bytes
+                     */
+                    size: number,
+                    /**
+                     * ISO date last written
+                     */
+                    modified: string,
+                    /**
+                     * File being written to
+                     */
+                    active: boolean
+                }[]
+            }
+        }
+    },
+    /**
+     * Reads the audit log of destructive admin actions, newest first
+     */
+    getAuditLog: {
+        request: {
+            type: "getAuditLog",
+            id: id,
+            payload: {
+                /**
+                 * Part of a username to match
+                 */
+                user?: string,
+                /**
+                 * Exact message type to match
+                 */
+                action?: string,
+                /**
+                 * Earliest date (ISO string)
+                 */
+                from?: string,
+                /**
+                 * Latest date (ISO string)
+                 */
+                to?: string
+            }
+        },
+        response: {
+            type: "getAuditLog",
+            id: id,
+            payload: {
+                /**
+                 * Message types that get audited
+                 */
+                actions: string[],
+                entries: {
+                    id: string,
+                    /**
+                     * ISO timestamp
+                     */
+                    time: string,
+                    user: string,
+                    role: string,
+                    /**
+                     * Remote IP of the admin
+                     */
+                    ip: string,
+                    /**
+                     * Message type
+                     */
+                    action: string,
+                    /**
+                     * Message payload, passwords blanked out
+                     */
+                    payload: any,
+                    result: {
+                        success: boolean,
+                        message?: string
+                    }
+                }[]
+            }
+        }
+    },
+    /**
+     * Every saved version of the settings, newest first
+     */
+    getConfigHistory: {
+        request: {
+            type: "getConfigHistory",
+            id: id,
+            payload: any
+        },
+        response: {
+            type: "getConfigHistory",
+            id: id,
+            payload: {
+                versions: ConfigVersion[]
+            }
+        }
+    },
+    /**
+     * Saves the settings of an older version, checked like {@link RequestMap.setEnvValues}.
+     * Secrets aren't kept in the history and stay as they are
+     */
+    restoreConfig: {
+        request: {
+            type: "restoreConfig",
+            id: id,
+            payload: {
+                version: number
+            }
+        },
+        response: {
+            type: "restoreConfig",
+            id: id,
+            payload: {
+                /**
+                 * If anything changed
+                 */
+                success: boolean,
+                /**
+                 * If a changed key only takes effect after a restart
+                 */
+                restart: boolean,
+                /**
+                 * New version the restore saved as, not set when nothing changed
+                 */
+                version?: number
+            }
+        }
+    },
+    /**
+     * Running and recently finished jobs, newest first
+     */
+    listJobs: {
+        request: {
+            type: "listJobs",
+            id: id,
+            payload: any
+        },
+        response: {
+            type: "listJobs",
+            id: id,
+            payload: {
+                jobs: Job[]
+            }
+        }
+    },
+    /**
+     * Single job by id
+     */
+    getJob: {
+        request: {
+            type: "getJob",
+            id: id,
+            payload: {
+                jobId: number
+            }
+        },
+        response: {
+            type: "getJob",
+            id: id,
+            payload: {
+                job: Job
+            }
+        }
+    },
+    /**
+     * Log lines a job wrote, with its status changes, oldest first
+     */
+    getJobLog: {
+        request: {
+            type: "getJobLog",
+            id: id,
+            payload: {
+                jobId: number
+            }
+        },
+        response: {
+            type: "getJobLog",
+            id: id,
+            payload: {
+                jobId: number,
+                /**
+                 * `[ISO time] text` lines, without color codes
+                 */
+                lines: string[]
+            }
+        }
+    },
+    /**
+     * Stops an unfinished job
+     */
+    cancelJob: {
+        request: {
+            type: "cancelJob",
+            id: id,
+            payload: {
+                jobId: number
+            }
+        },
+        response: {
+            type: "cancelJob",
+            id: id,
+            payload: {
+                success: boolean
+            }
+        }
+    },
+    /**
+     * Pauses a running job, only if it's `pausable`
+     */
+    pauseJob: {
+        request: {
+            type: "pauseJob",
+            id: id,
+            payload: {
+                jobId: number
+            }
+        },
+        response: {
+            type: "pauseJob",
+            id: id,
+            payload: {
+                success: boolean
+            }
+        }
+    },
+    /**
+     * Resumes a paused job
+     */
+    resumeJob: {
+        request: {
+            type: "resumeJob",
+            id: id,
+            payload: {
+                jobId: number
+            }
+        },
+        response: {
+            type: "resumeJob",
+            id: id,
             payload: {
                 success: boolean
             }
@@ -972,4 +1594,11 @@ export interface RequestMap {
 /**
  * Basic message types
  */
-export type RequestType = keyof RequestMap;
\ No newline at end of file
+export type RequestType = keyof RequestMap;
+
+declare global {
+    /**
+     * Admin panel build version, set by vite from package.json
+     */
+    const __PANEL_VERSION__: string;
+}
\ No newline at end of file
@@ -1,9 +1,16 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { readFileSync } from 'fs';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  define: {
+    // checked against the server in the socket handshake
+    __PANEL_VERSION__: JSON.stringify(pkg.version),
+  },
   server: {
     port: 9000,
     open: true, // Automatically open the app in the browser